@@ -0,0 +1,116 @@
+/**
+ * Permissions Middleware
+ * Named permissions granted through roles, optionally scoped to one cluster.
+ *
+ * Admins hold every permission site-wide. Other users get permissions from
+ * the role assignments on User.roles; an assignment with a cluster only
+ * applies to works in that cluster's category (e.g. a Photography moderator
+ * can feature Photos but not Videos).
+ */
+
+const { User } = require('../models');
+
+const PERMISSIONS = {
+    'works.feature': 'Feature and unfeature works',
+    'works.moderate': 'Edit or delete works uploaded by others',
+    'members.approve': 'Approve or reject member applications',
+    'themes.manage': 'Create, edit and delete themes',
+    'tags.manage': 'Curate, rename, merge and delete tags',
+    'reports.review': 'Review reported content and hide or remove it',
+    'roles.assign': 'Assign and revoke roles'
+};
+
+// Keep in sync with the role enum on User.roles
+const ROLES = {
+    moderator: {
+        label: 'Moderator',
+        permissions: ['works.feature', 'works.moderate', 'reports.review']
+    },
+    curator: {
+        label: 'Curator',
+        permissions: ['works.feature', 'tags.manage']
+    }
+};
+
+const CLUSTER_CATEGORIES = {
+    Photography: 'Photos',
+    Graphics: 'Graphics',
+    Videography: 'Videos'
+};
+
+// Cluster that owns a work category ('Photos' -> 'Photography')
+function clusterForCategory(category) {
+    return Object.keys(CLUSTER_CATEGORIES).find(cluster => CLUSTER_CATEGORIES[cluster] === category) || null;
+}
+
+/**
+ * Does the user hold the permission? With a cluster, only site-wide grants
+ * and grants for that cluster count; without one, any grant counts.
+ */
+function hasPermission(user, permission, cluster) {
+    if (!user) return false;
+    if (user.userType === 'admin') return true;
+
+    return (user.roles || []).some(assignment => {
+        const role = ROLES[assignment.role];
+        if (!role || !role.permissions.includes(permission)) return false;
+        return cluster === undefined || !assignment.cluster || assignment.cluster === cluster;
+    });
+}
+
+// Permission -> clusters it applies to ('*' = site-wide), for the frontend
+function permissionScopes(user) {
+    const scopes = {};
+    if (!user) return scopes;
+
+    if (user.userType === 'admin') {
+        Object.keys(PERMISSIONS).forEach(permission => { scopes[permission] = ['*']; });
+        return scopes;
+    }
+
+    (user.roles || []).forEach(assignment => {
+        const role = ROLES[assignment.role];
+        if (!role) return;
+        role.permissions.forEach(permission => {
+            const clusters = scopes[permission] || (scopes[permission] = []);
+            const scope = assignment.cluster || '*';
+            if (!clusters.includes(scope)) clusters.push(scope);
+        });
+    });
+    return scopes;
+}
+
+/**
+ * Require a named permission in at least one scope. The loaded user is left
+ * on req.user so the route can check the scope against the resource.
+ */
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const user = await User.findById(req.session.userId);
+            if (!hasPermission(user, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to do this'
+                });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error checking permissions'
+            });
+        }
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    CLUSTER_CATEGORIES,
+    clusterForCategory,
+    hasPermission,
+    permissionScopes,
+    requirePermission
+};
@@ -0,0 +1,92 @@
+/**
+ * Upload Middleware
+ * Parses multipart work uploads and checks them against per-category rules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+// Accepted file types and size limits per work category
+const UPLOAD_RULES = {
+    Photos: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'],
+        extensions: ['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff'],
+        maxSize: 25 * MB
+    },
+    Graphics: {
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+        extensions: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
+        maxSize: 25 * MB
+    },
+    Videos: {
+        mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm', 'video/x-matroska', 'video/x-msvideo'],
+        extensions: ['.mp4', '.m4v', '.mov', '.webm', '.mkv', '.avi'],
+        maxSize: 500 * MB
+    }
+};
+
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(UPLOAD_RULES).map(rule => rule.maxSize));
+
+// Files are staged in the OS temp dir until the route hands them to storage
+const upload = multer({
+    dest: path.join(os.tmpdir(), 'lentexhibit-uploads'),
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE,
+        files: 1
+    }
+});
+
+// Parse an optional single "file" field; JSON requests pass straight through
+const parseUpload = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            message: tooLarge
+                ? `File is too large (max ${MAX_UPLOAD_SIZE / MB} MB)`
+                : `Invalid upload: ${err.message}`
+        });
+    });
+};
+
+// Check an uploaded file against its category rules. Returns an error message or null.
+function validateUpload(file, category) {
+    const rule = UPLOAD_RULES[category];
+    if (!rule) {
+        return 'Invalid category';
+    }
+
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!rule.mimeTypes.includes(file.mimetype) || !rule.extensions.includes(ext)) {
+        return `${category} only accept ${rule.extensions.join(', ')} files`;
+    }
+
+    if (file.size > rule.maxSize) {
+        return `${category} files must be ${rule.maxSize / MB} MB or smaller`;
+    }
+
+    return null;
+}
+
+// Remove the staged temp file once a request is finished with it
+async function discardUpload(file) {
+    if (!file) return;
+    try {
+        await fs.promises.rm(file.path, { force: true });
+    } catch (error) {
+        console.error('Error removing temp upload:', error);
+    }
+}
+
+module.exports = {
+    UPLOAD_RULES,
+    parseUpload,
+    validateUpload,
+    discardUpload
+};
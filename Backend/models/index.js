@@ -1,9 +1,65 @@
 /**
  * MongoDB Models for LenteXhibit
- * Defines schemas for User, Work, Portfolio, Theme, and Vote
+ * Defines schemas for User, Work, Portfolio, Theme, Vote, Ballot, JudgeScore,
+ * Comment, Notification, Tag and Report
  */
 
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 10;
+
+// Case-insensitive ordering used by the title/name prefix indexes; queries
+// must pass the same collation to use them (see services/search.js)
+const SEARCH_COLLATION = { locale: 'en', strength: 2 };
+
+// Highlight works a member can pin to the top of their portfolio
+const MAX_PINNED_WORKS = 6;
+
+// One admin decision on a member application
+const approvalEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['approved', 'rejected', 'revoked'],
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A role granted to a user; cluster limits it to that cluster's works
+// (see middleware/permissions.js for what each role allows)
+const roleAssignmentSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['moderator', 'curator'],
+        required: true
+    },
+    // Empty means site-wide
+    cluster: {
+        type: String,
+        enum: ['Photography', 'Graphics', 'Videography', null],
+        default: null
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -43,12 +99,180 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set while a member application is rejected; cleared on approval
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    rejectedAt: {
+        type: Date
+    },
+    approvalHistory: [approvalEventSchema],
+    // Extra permissions on top of userType (admins already have all of them)
+    roles: [roleAssignmentSchema],
+    lastVotedAt: {
+        type: Date
+    },
+    // Email summary of unread notifications (see services/notifications.js)
+    emailDigest: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'off'
+    },
+    lastDigestAt: {
+        type: Date
+    },
+    // Set while the account is in the trash; purged after the retention
+    // period unless it is restored (see services/trash.js)
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Who trashed it: the member themselves (logging back in restores it) or an admin
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Credentials (never returned unless explicitly selected)
+    passwordHash: {
+        type: String,
+        select: false
+    },
+    // Sessions started before this are logged out (see routes/auth.js)
+    passwordChangedAt: {
+        type: Date
+    },
+    // SHA-256 of the emailed reset token; the raw token is never stored
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Search: weighted full-text, plus name prefixes for autocomplete
+userSchema.index(
+    { name: 'text', position: 'text', batchName: 'text' },
+    { name: 'user_search', weights: { name: 10, position: 2, batchName: 1 } }
+);
+userSchema.index({ name: 1 }, { collation: SEARCH_COLLATION });
+
+// 'approved', 'rejected' or 'pending' (members only need approval)
+userSchema.virtual('approvalStatus').get(function() {
+    if (this.isApproved) return 'approved';
+    return this.rejectedAt ? 'rejected' : 'pending';
+});
+
+// Record an admin approval decision ('approved', 'rejected' or 'revoked')
+userSchema.methods.recordApproval = function(action, adminId, reason) {
+    this.isApproved = action === 'approved';
+    if (action === 'approved') {
+        this.rejectionReason = undefined;
+        this.rejectedAt = undefined;
+    } else if (action === 'rejected') {
+        this.rejectionReason = reason;
+        this.rejectedAt = Date.now();
+    }
+    this.approvalHistory.push({ action, by: adminId, reason });
+};
+
+// Hash and set a new password
+userSchema.methods.setPassword = async function(password) {
+    this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    this.passwordChangedAt = Date.now();
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+};
+
+// Compare a password against the stored hash (requires passwordHash to be selected)
+userSchema.methods.checkPassword = async function(password) {
+    if (!this.passwordHash || !password) return false;
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+// Resized copy of an uploaded image (see services/images.js)
+const derivativeSchema = new mongoose.Schema({
+    size: {
+        type: String,
+        enum: ['thumbnail', 'medium', 'large'],
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['webp', 'jpeg'],
+        required: true
+    },
+    width: Number,
+    height: Number,
+    url: {
+        type: String,
+        required: true
+    },
+    key: String
+}, { _id: false });
+
+// Normalized camera settings read from a photo (see services/exif.js)
+const exifSchema = new mongoose.Schema({
+    make: String,
+    model: String,
+    camera: String,
+    lens: String,
+    focalLength: Number,
+    aperture: Number,
+    exposureTime: Number,
+    shutterSpeed: String,
+    iso: Number,
+    takenAt: Date,
+    // Only kept when the member opts in; stripped from the file by default
+    location: {
+        latitude: Number,
+        longitude: Number
+    }
+}, { _id: false });
+
+// Transcoded renditions of an uploaded video (see services/video.js)
+const videoSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['pending', 'ready', 'failed'],
+        default: 'pending'
+    },
+    error: String,
+    duration: Number,
+    width: Number,
+    height: Number,
+    posterUrl: String,
+    mp4Url: String,
+    hlsUrl: String,
+    // Storage keys of every generated file, for cleanup
+    keys: [String],
+    processedAt: Date
+}, { _id: false });
+
+const AWARD_PLACES = ['first', 'second', 'third', 'honorable'];
+
+// An award a work won in a theme, copied from Theme.awards for badges
+const workAwardSchema = new mongoose.Schema({
+    themeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Theme'
+    },
+    themeTitle: String,
+    place: {
+        type: String,
+        enum: AWARD_PLACES
+    },
+    awardedAt: Date
+}, { _id: false });
+
 // Work Schema
 const workSchema = new mongoose.Schema({
     title: {
@@ -70,6 +294,26 @@ const workSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Set when the file was uploaded to our storage (empty for external URLs)
+    fileKey: {
+        type: String
+    },
+    mimeType: {
+        type: String
+    },
+    fileSize: {
+        type: Number
+    },
+    // Original image dimensions and resized derivatives (Photos/Graphics uploads)
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    derivatives: [derivativeSchema],
+    exif: exifSchema,
+    video: videoSchema,
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -83,10 +327,49 @@ const workSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Comments that aren't deleted (see routes/comments.js)
+    commentCount: {
+        type: Number,
+        default: 0
+    },
     themeId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Theme'
     },
+    // Kept in sync by services/awards.js
+    awards: [workAwardSchema],
+    // Tag slugs (see Tag and services/tags.js)
+    tags: {
+        type: [String],
+        default: []
+    },
+    // Set when moderators hide the work after a report (services/moderation.js);
+    // hidden works keep their votes but drop out of listings and rankings
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    hiddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set while the work is in the trash (services/trash.js); trashed works
+    // keep their votes until they are purged
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Trashed along with its owner's account, and restored with it
+    deletedWithAccount: {
+        type: Boolean,
+        default: false
+    },
+    // Who trashed it: the owner, or a moderator (then only moderators can restore it)
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -97,12 +380,62 @@ const workSchema = new mongoose.Schema({
     }
 });
 
+// Support filtering photos by camera and lens
+workSchema.index({ 'exif.camera': 1 });
+workSchema.index({ 'exif.lens': 1 });
+
+// Tag pages and tag filters
+workSchema.index({ tags: 1 });
+
+// Trash listings and the purge job
+workSchema.index({ deletedAt: 1 });
+
+// Search: weighted full-text, plus title prefixes for autocomplete
+workSchema.index(
+    { title: 'text', description: 'text', 'exif.camera': 'text' },
+    { name: 'work_search', weights: { title: 10, description: 3, 'exif.camera': 1 } }
+);
+workSchema.index({ title: 1 }, { collation: SEARCH_COLLATION });
+
 // Update timestamp on save
 workSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
 });
 
+// An album inside a portfolio; works are listed in the owner's order
+const collectionSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 80
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    // Shown on the collection tab; falls back to the first work
+    coverWorkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work',
+        default: null
+    },
+    works: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 // Portfolio Schema
 const portfolioSchema = new mongoose.Schema({
     userId: {
@@ -111,6 +444,19 @@ const portfolioSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Vanity URL (/p/<slug>); see services/portfolioSlugs.js
+    slug: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        unique: true,
+        sparse: true
+    },
+    // Former slugs, redirected to the current one
+    previousSlugs: {
+        type: [String],
+        index: true
+    },
     title: {
         type: String,
         trim: true
@@ -123,10 +469,31 @@ const portfolioSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Display order chosen by the owner; new works are added at the end
     works: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Work'
     }],
+    // Shown before the other works, in this order
+    pinnedWorks: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Work' }],
+        validate: {
+            validator: pinned => pinned.length <= MAX_PINNED_WORKS,
+            message: `A portfolio can pin at most ${MAX_PINNED_WORKS} works`
+        }
+    },
+    // Albums of the portfolio's works, in display order (see routes/collections.js)
+    collections: [collectionSchema],
+    // Hidden by moderators after a report; only the owner can still open it
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    // Set while the owner's account is in the trash
+    deletedAt: {
+        type: Date,
+        default: null
+    },
     totalVotes: {
         type: Number,
         default: 0
@@ -141,6 +508,133 @@ const portfolioSchema = new mongoose.Schema({
     }
 });
 
+// Voting rules for a theme; voting opens once the submission window closes
+const votingRulesSchema = new mongoose.Schema({
+    startDate: Date,
+    endDate: Date,
+    // 0 means unlimited
+    maxVotesPerUser: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    allowSelfVote: {
+        type: Boolean,
+        default: false
+    },
+    eligibleUserTypes: {
+        type: [{ type: String, enum: ['guest', 'member', 'admin'] }],
+        default: ['guest', 'member', 'admin']
+    }
+}, { _id: false });
+
+// How a theme's winners are decided (see services/scoring.js)
+const scoringSchema = new mongoose.Schema({
+    // popular: public votes, ranked: ranked-choice ballots,
+    // judged: judge rubric scores, blend: public votes + judge scores
+    mode: {
+        type: String,
+        enum: ['popular', 'ranked', 'judged', 'blend'],
+        default: 'popular'
+    },
+    // Rubric for judged/blend, each scored 1-10
+    criteria: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        weight: { type: Number, min: 0, default: 1 }
+    }],
+    judges: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Share of the blended score that comes from the public vote (0-1)
+    publicWeight: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.5
+    },
+    // How many works a ranked-choice ballot may rank
+    maxRankedChoices: {
+        type: Number,
+        min: 1,
+        default: 3
+    },
+    // Works after the podium that get an honorable mention
+    honorableMentions: {
+        type: Number,
+        min: 0,
+        default: 3
+    }
+}, { _id: false });
+
+// One place in a theme's computed results
+const standingSchema = new mongoose.Schema({
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    },
+    // Equal scores share a rank (1, 1, 3)
+    rank: Number,
+    score: Number,
+    publicVotes: Number,
+    judgeScore: Number,
+    judgeCount: Number,
+    criteria: [{
+        _id: false,
+        name: String,
+        average: Number
+    }]
+}, { _id: false });
+
+// A podium place or honorable mention on an ended theme (see services/awards.js)
+const awardSchema = new mongoose.Schema({
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    place: {
+        type: String,
+        enum: AWARD_PLACES,
+        required: true
+    },
+    // Rank in the computed standings
+    rank: Number
+}, { _id: false });
+
+// A change to a theme's submissions (see services/themes.js)
+const submissionEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['submitted', 'withdrawn', 'replaced'],
+        required: true
+    },
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work',
+        required: true
+    },
+    // The work that took its place ('replaced' only)
+    replacementId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    // Set on a 'submitted' entry taken back for going over the per-member limit
+    rolledBack: Boolean
+}, { _id: false });
+
 // Theme Schema (for voting themes)
 const themeSchema = new mongoose.Schema({
     title: {
@@ -166,15 +660,67 @@ const themeSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    // Moved by the theme scheduler (services/themeLifecycle.js), never by reads:
+    // Upcoming -> Active (submissions open) -> Voting -> Ended
     status: {
         type: String,
-        enum: ['Upcoming', 'Active', 'Ended'],
+        enum: ['Upcoming', 'Active', 'Voting', 'Ended'],
         default: 'Upcoming'
     },
+    statusChangedAt: {
+        type: Date
+    },
+    submissionsFrozenAt: {
+        type: Date
+    },
+    resultsAnnouncedAt: {
+        type: Date
+    },
     submissions: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Work'
     }],
+    // Works each member may have in the theme at once; 0 means unlimited
+    maxSubmissionsPerMember: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Audit trail of submissions, withdrawals and replacements
+    submissionHistory: [submissionEventSchema],
+    voting: {
+        type: votingRulesSchema,
+        default: () => ({})
+    },
+    scoring: {
+        type: scoringSchema,
+        default: () => ({})
+    },
+    // Filled in once voting ends
+    results: {
+        computedAt: Date,
+        mode: String,
+        standings: [standingSchema],
+        ballotCount: Number,
+        // Ranked-choice tallies per elimination round
+        rounds: [{
+            _id: false,
+            tallies: [{ _id: false, workId: mongoose.Schema.Types.ObjectId, votes: Number }],
+            eliminated: [mongoose.Schema.Types.ObjectId]
+        }]
+    },
+    // Podium and honorable mentions, from the results unless an admin overrode them
+    awards: [awardSchema],
+    awardsDecidedAt: {
+        type: Date
+    },
+    awardsOverriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    awardsOverriddenAt: {
+        type: Date
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -185,6 +731,34 @@ const themeSchema = new mongoose.Schema({
     }
 });
 
+// Search: weighted full-text, plus title prefixes for autocomplete
+themeSchema.index(
+    { title: 'text', description: 'text' },
+    { name: 'theme_search', weights: { title: 10, description: 3 } }
+);
+themeSchema.index({ title: 1 }, { collation: SEARCH_COLLATION });
+
+// Voting window; older themes without voting dates vote while submissions are open
+themeSchema.methods.votingWindow = function() {
+    return {
+        start: this.voting?.startDate || this.startDate,
+        end: this.voting?.endDate || this.endDate
+    };
+};
+
+// Where the theme should be in its lifecycle at a given time
+themeSchema.methods.statusAt = function(now = new Date()) {
+    if (now < this.startDate) return 'Upcoming';
+    if (now < this.endDate) return 'Active';
+    if (now < this.votingWindow().end) return 'Voting';
+    return 'Ended';
+};
+
+themeSchema.methods.isVotingOpen = function(now = new Date()) {
+    const { start, end } = this.votingWindow();
+    return now >= start && (!end || now <= end);
+};
+
 // Vote Schema
 const voteSchema = new mongoose.Schema({
     userId: {
@@ -209,6 +783,324 @@ const voteSchema = new mongoose.Schema({
 
 // Ensure a user can only vote once per work
 voteSchema.index({ userId: 1, workId: 1 }, { unique: true });
+// Counting a user's votes within a theme
+voteSchema.index({ userId: 1, themeId: 1 });
+// Activity analytics over a date range
+voteSchema.index({ createdAt: 1 });
+
+// Ranked-choice ballot: one per user per theme, works in order of preference
+const ballotSchema = new mongoose.Schema({
+    themeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Theme',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rankings: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ballotSchema.index({ themeId: 1, userId: 1 }, { unique: true });
+
+// A judge's rubric scores for one work in a theme
+const judgeScoreSchema = new mongoose.Schema({
+    themeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Theme',
+        required: true
+    },
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work',
+        required: true
+    },
+    judgeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    scores: [{
+        _id: false,
+        criterion: { type: String, required: true },
+        score: { type: Number, min: 1, max: 10, required: true }
+    }],
+    comment: {
+        type: String,
+        trim: true
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+judgeScoreSchema.index({ themeId: 1, workId: 1, judgeId: 1 }, { unique: true });
+
+// Earlier text of an edited comment
+const commentEditSchema = new mongoose.Schema({
+    body: String,
+    editedAt: Date
+}, { _id: false });
+
+// Comment Schema (critiques and discussion on a work)
+const commentSchema = new mongoose.Schema({
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Threads are one level deep: replies point at the top-level comment,
+    // replyTo at the comment actually being answered
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment'
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    },
+    edits: [commentEditSchema],
+    editedAt: {
+        type: Date
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    // Soft deletion keeps the thread together; the body is hidden from readers
+    deletedAt: {
+        type: Date
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // 'author', or 'moderator' for the work owner, a cluster moderator or an admin
+    deletedAs: {
+        type: String,
+        enum: ['author', 'moderator']
+    },
+    // Hidden by moderators after a report; shown like a deleted comment
+    hiddenAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Listing a work's threads and a thread's replies in order
+commentSchema.index({ workId: 1, parentId: 1, createdAt: -1 });
+
+const NOTIFICATION_TYPES = ['approval', 'vote', 'comment', 'reply', 'theme_voting', 'theme_ended', 'report', 'moderation'];
+
+// Notification Schema (shown in the header bell, optionally emailed as a digest)
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    // Page to open, relative to the frontend (e.g. work.html?id=...)
+    link: {
+        type: String
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    workId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Work'
+    },
+    themeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Theme'
+    },
+    // Repeated events (votes on one work) fold into one unread notification
+    count: {
+        type: Number,
+        default: 1
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    emailedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Unread counts and the newest-first list
+notificationSchema.index({ userId: 1, readAt: 1, updatedAt: -1 });
+
+// Tag Schema: free-form tags members add to works, and curated ones admins promote
+const tagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 30
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Former slugs of this tag after renames and merges, so old links still resolve
+    aliases: {
+        type: [String],
+        default: []
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    curated: {
+        type: Boolean,
+        default: false
+    },
+    // Works carrying the tag
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+tagSchema.index({ aliases: 1 });
+// Autocomplete: curated first, then the most used
+tagSchema.index({ curated: -1, usageCount: -1 });
+
+const REPORT_TARGETS = ['work', 'comment', 'portfolio'];
+const REPORT_REASONS = ['inappropriate', 'plagiarism', 'spam', 'harassment', 'other'];
+
+// Report Schema: a member flagging a work, comment or portfolio for moderators
+const reportSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: REPORT_TARGETS,
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Snapshot for the queue, so it still reads well once the content is gone
+    targetTitle: String,
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Cluster whose moderators review it (null: admins only)
+    cluster: {
+        type: String,
+        default: null
+    },
+    // Page to open, relative to the frontend (e.g. work.html?id=...)
+    link: String,
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    // open -> dismissed | hidden | removed; hidden content can be restored
+    status: {
+        type: String,
+        enum: ['open', 'dismissed', 'hidden', 'removed', 'restored'],
+        default: 'open'
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date,
+    resolutionNote: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The queue, oldest open reports first
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+// One open report per member per item
+reportSchema.index(
+    { targetType: 1, targetId: 1, reporterId: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
 
 // Export models
 module.exports = {
@@ -216,5 +1108,15 @@ module.exports = {
     Work: mongoose.model('Work', workSchema),
     Portfolio: mongoose.model('Portfolio', portfolioSchema),
     Theme: mongoose.model('Theme', themeSchema),
-    Vote: mongoose.model('Vote', voteSchema)
+    Vote: mongoose.model('Vote', voteSchema),
+    Ballot: mongoose.model('Ballot', ballotSchema),
+    JudgeScore: mongoose.model('JudgeScore', judgeScoreSchema),
+    Comment: mongoose.model('Comment', commentSchema),
+    Notification: mongoose.model('Notification', notificationSchema),
+    Tag: mongoose.model('Tag', tagSchema),
+    Report: mongoose.model('Report', reportSchema),
+    REPORT_TARGETS,
+    REPORT_REASONS,
+    SEARCH_COLLATION,
+    MAX_PINNED_WORKS
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Analytics Routes
+ * Admin activity series for the dashboard (see services/analytics.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, isAdmin } = require('./auth');
+const { activitySeries } = require('../services/analytics');
+
+// Admin: Signups, Uploads, Votes and Active Voters over time
+// (?from=&to=&granularity=day|week|month&groupBy=none|cluster|category)
+router.get('/activity', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const activity = await activitySeries(req.query);
+
+        res.json({
+            success: true,
+            activity
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error fetching activity analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching activity analytics',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,25 +1,73 @@
 /**
  * Authentication Routes - FIXED SESSION PERSISTENCE
- * Handles signup, login, logout, and session verification.
+ * Handles signup, login, logout, session verification and password resets.
  */
 
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const { User, Portfolio } = require('../models');
+const { sendMail, escapeHtml } = require('../services/mail');
+const { notifyApproval } = require('../services/notifications');
+const { requirePermission, permissionScopes } = require('../middleware/permissions');
+const { restoreAccount, deletedBySelf } = require('../services/trash');
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+// Compared against when the email is unknown so both paths take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('lentexhibit-dummy-password', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Returns an error message if the password is too weak, otherwise null
+const validatePassword = (password) => {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Is the session's account still usable? Accounts in the trash are logged
+ * out, and so is every session started before the last password change or
+ * reset (sessions from before login times were recorded count as old).
+ */
+const sessionIsValid = (req, user) => {
+    if (!user || user.deletedAt) return false;
+    if (!user.passwordChangedAt) return true;
+    return (req.session.authenticatedAt || 0) >= user.passwordChangedAt.getTime();
+};
 
 // Middleware to check if user is authenticated
-const isAuthenticated = (req, res, next) => {
+const isAuthenticated = async (req, res, next) => {
     console.log('🔐 Auth check - Session ID:', req.sessionID);
     console.log('🔐 Auth check - User ID:', req.session?.userId);
     
-    if (req.session && req.session.userId) {
-        next();
-    } else {
-        res.status(401).json({
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({
             success: false,
             message: 'Not authenticated'
         });
     }
+
+    try {
+        const user = await User.findById(req.session.userId).select('deletedAt passwordChangedAt');
+        if (!sessionIsValid(req, user)) {
+            req.session.destroy(() => {});
+            return res.status(401).json({
+                success: false,
+                message: 'Not authenticated'
+            });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error checking session'
+        });
+    }
 };
 
 // Middleware to check if user is admin
@@ -42,10 +90,61 @@ const isAdmin = async (req, res, next) => {
     }
 };
 
+// Middleware to keep pending or rejected members from uploading
+const isApprovedMember = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.session.userId);
+        if (user && user.userType === 'member' && !user.isApproved) {
+            return res.status(403).json({
+                success: false,
+                message: user.approvalStatus === 'rejected'
+                    ? 'Your member application was not approved'
+                    : 'Your member account is awaiting admin approval',
+                approvalStatus: user.approvalStatus
+            });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error checking approval status'
+        });
+    }
+};
+
+// Approval and permission fields shared by the signup, login and verify responses
+const approvalFields = (user) => ({
+    isApproved: user.isApproved,
+    approvalStatus: user.approvalStatus,
+    rejectionReason: user.rejectionReason,
+    roles: user.roles,
+    permissions: permissionScopes(user)
+});
+
+// Let the member know an admin reviewed their application
+const sendApprovalEmail = async (user) => {
+    const frontendUrl = (process.env.FRONTEND_URL || 'https://lentexhibit-1.onrender.com').replace(/\/$/, '');
+    const approved = user.isApproved;
+    const text = approved
+        ? `Hi ${user.name},\n\nYour LenteXhibit member account has been approved. You can now upload works:\n\n${frontendUrl}/index.html`
+        : `Hi ${user.name},\n\nYour LenteXhibit member application was not approved.\n\nReason: ${user.rejectionReason}`;
+
+    try {
+        await sendMail({
+            to: user.email,
+            subject: approved ? 'Your LenteXhibit membership is approved' : 'Your LenteXhibit membership application',
+            text
+        });
+    } catch (error) {
+        // The decision is already saved; a failed email shouldn't undo it
+        console.error('Error sending approval email:', error);
+    }
+};
+
 // Sign up - FIXED SESSION CREATION
 router.post('/signup', async (req, res) => {
     try {
-        const {name, email, userType, batchName, cluster, position} = req.body;
+        const {name, email, password, userType, batchName, cluster, position} = req.body;
 
         console.log('📝 Signup request:', { name, email, userType });
 
@@ -57,6 +156,14 @@ router.post('/signup', async (req, res) => {
             });
         }
 
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({email});
         if (existingUser) {
@@ -79,7 +186,8 @@ router.post('/signup', async (req, res) => {
             name,
             email,
             userType,
-            isApproved: (userType === 'guest' || userType === 'member')
+            // Members wait for an admin to approve them before they can upload
+            isApproved: userType === 'guest'
         };
 
         // Add member-specific fields
@@ -90,6 +198,7 @@ router.post('/signup', async (req, res) => {
         }
         
         const newUser = new User(userData);
+        await newUser.setPassword(password);
         await newUser.save();
 
         console.log('✅ User created:', newUser._id);
@@ -110,6 +219,7 @@ router.post('/signup', async (req, res) => {
                 req.session.userId = newUser._id.toString();
                 req.session.userType = newUser.userType;
                 req.session.userName = newUser.name;
+                req.session.authenticatedAt = Date.now();
 
                 // CRITICAL: Force save session before responding
                 req.session.save((err) => {
@@ -129,13 +239,15 @@ router.post('/signup', async (req, res) => {
 
                     res.json({
                         success: true,
-                        message: `${userType.charAt(0).toUpperCase() + userType.slice(1)} account created and logged in`,
+                        message: userType === 'member'
+                            ? 'Member account created and logged in. An admin will review your application before you can upload works.'
+                            : 'Guest account created and logged in.',
                         user: {
                             _id: newUser._id.toString(),
                             name: newUser.name,
                             email: newUser.email,
                             userType: newUser.userType,
-                            isApproved: newUser.isApproved,
+                            ...approvalFields(newUser),
                             cluster: newUser.cluster,
                             batchName: newUser.batchName,
                             position: newUser.position
@@ -171,33 +283,46 @@ router.post('/signup', async (req, res) => {
 // Log In - FIXED SESSION CREATION
 router.post('/login', async (req, res) => {
     try {
-        const {email} = req.body;
+        const {email, password} = req.body;
 
         console.log('🔑 Login request for:', email);
 
-        if (!email) {
+        if (!email || !password) {
             return res.status(400).json({
                 success: false,
-                message: 'Email is required'
+                message: 'Email and password are required'
             });
         }
 
-        // Find user by email
-        const user = await User.findOne({email});
-        if (!user) {
-            return res.status(404).json({
+        // Find user by email and check the password. Unknown emails and wrong
+        // passwords get the same response so accounts can't be enumerated.
+        const user = await User.findOne({email}).select('+passwordHash');
+        const passwordMatches = user
+            ? await user.checkPassword(password)
+            : await bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
+
+        if (!user || !passwordMatches) {
+            return res.status(401).json({
                 success: false,
-                message: 'User not found'
+                message: 'Invalid email or password'
             });
         }
 
-        // Check if member is approved
-        if (user.userType === 'member' && !user.isApproved) {
+        // Pending and rejected members can still log in to see their status;
+        // isApprovedMember blocks them from uploading
+
+        // Logging in to an account the member trashed themselves cancels its
+        // deletion; accounts an admin deleted stay locked until an admin restores them
+        if (user.deletedAt && !deletedBySelf(user)) {
             return res.status(403).json({
                 success: false,
-                message: 'Member account not approved yet'
+                message: 'This account was deleted by an administrator'
             });
         }
+        const restored = Boolean(user.deletedAt);
+        if (restored) {
+            await restoreAccount(user);
+        }
 
         console.log('✅ User found:', user._id);
 
@@ -215,6 +340,7 @@ router.post('/login', async (req, res) => {
             req.session.userId = user._id.toString();
             req.session.userType = user.userType;
             req.session.userName = user.name;
+            req.session.authenticatedAt = Date.now();
 
             // CRITICAL: Force save session before responding
             req.session.save((err) => {
@@ -234,12 +360,14 @@ router.post('/login', async (req, res) => {
 
                 res.json({
                     success: true,
-                    message: 'Login successful',
+                    message: restored ? 'Welcome back! Your account is no longer scheduled for deletion.' : 'Login successful',
+                    restored,
                     user: {
                         _id: user._id.toString(),
                         name: user.name,
                         email: user.email,
                         userType: user.userType,
+                        ...approvalFields(user),
                         cluster: user.cluster,
                         batchName: user.batchName,
                         position: user.position
@@ -279,8 +407,8 @@ router.get('/verify', async (req, res) => {
         }
 
         const user = await User.findById(req.session.userId).select('-__v');
-        if (!user) {
-            console.log('❌ User not found in database');
+        if (!sessionIsValid(req, user)) {
+            console.log('❌ User not found in database, account deleted or password changed');
             req.session.destroy();
             return res.json({
                 success: false,
@@ -308,7 +436,7 @@ router.get('/verify', async (req, res) => {
                 name: user.name,
                 email: user.email,
                 userType: user.userType,
-                isApproved: user.isApproved,
+                ...approvalFields(user),
                 cluster: user.cluster,
                 batchName: user.batchName,
                 position: user.position,
@@ -357,8 +485,170 @@ router.post('/logout', (req, res) => {
     });
 });
 
+// Forgot Password - emails a one-time reset link
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const user = await User.findOne({ email });
+
+        if (user) {
+            const token = crypto.randomBytes(32).toString('hex');
+            user.passwordResetToken = hashToken(token);
+            user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL);
+            await user.save();
+
+            const frontendUrl = (process.env.FRONTEND_URL || 'https://lentexhibit-1.onrender.com').replace(/\/$/, '');
+            const resetUrl = `${frontendUrl}/reset-password.html?token=${token}`;
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your LenteXhibit password',
+                    text: `Hi ${user.name},\n\n` +
+                        `Use the link below to set a new password. It expires in 1 hour.\n\n` +
+                        `${resetUrl}\n\n` +
+                        `If you didn't ask for this, you can ignore this email.`,
+                    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+                        `<p>Use the link below to set a new password. It expires in 1 hour.</p>` +
+                        `<p><a href="${resetUrl}">Reset my password</a></p>` +
+                        `<p>If you didn't ask for this, you can ignore this email.</p>`
+                });
+            } catch (error) {
+                // Answer the same either way, or a failed email would reveal the account exists
+                console.error('Error sending password reset email:', error);
+            }
+
+            console.log('📧 Password reset requested for:', user._id);
+        }
+
+        // Same response whether or not the account exists
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+
+    } catch (error) {
+        console.error('❌ Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+});
+
+// Reset Password - consumes the emailed token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is required'
+            });
+        }
+
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetToken: hashToken(String(token)),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        // Logs out every existing session (see sessionIsValid)
+        await user.setPassword(password);
+        await user.save();
+
+        console.log('✅ Password reset for:', user._id);
+
+        res.json({
+            success: true,
+            message: 'Password updated. You can now log in.'
+        });
+
+    } catch (error) {
+        console.error('❌ Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+});
+
+// Change Password (logged-in users)
+router.put('/password', isAuthenticated, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({
+                success: false,
+                message: passwordError
+            });
+        }
+
+        const user = await User.findById(req.session.userId).select('+passwordHash');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!(await user.checkPassword(currentPassword))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        await user.setPassword(newPassword);
+        await user.save();
+
+        // Other sessions are now logged out; this one stays signed in
+        req.session.authenticatedAt = Date.now();
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error changing password',
+            error: error.message
+        });
+    }
+});
+
 // Admin: Approve Member
-router.put('/approve/:userId', isAuthenticated, isAdmin, async (req, res) => {
+router.put('/approve/:userId', isAuthenticated, requirePermission('members.approve'), async (req, res) => {
     try {
         const user = await User.findById(req.params.userId);
         if (!user) {
@@ -375,8 +665,19 @@ router.put('/approve/:userId', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        user.isApproved = true;
+        if (user.isApproved) {
+            return res.status(400).json({
+                success: false,
+                message: 'Member is already approved'
+            });
+        }
+
+        user.recordApproval('approved', req.session.userId);
         await user.save();
+        await sendApprovalEmail(user);
+        await notifyApproval(user, req.session.userId);
+
+        console.log('✅ Member approved:', user._id, 'by', req.session.userId);
 
         res.json({
             success: true,
@@ -394,17 +695,79 @@ router.put('/approve/:userId', isAuthenticated, isAdmin, async (req, res) => {
     }
 });
 
-// Admin: Get Pending Approvals
-router.get('/pending', isAuthenticated, isAdmin, async (req, res) => {
+// Admin: Reject Member (reason is shown to the member)
+router.put('/reject/:userId', isAuthenticated, requirePermission('members.approve'), async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to reject a member'
+            });
+        }
+
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.userType !== 'member') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only members need approval'
+            });
+        }
+
+        if (user.isApproved) {
+            return res.status(400).json({
+                success: false,
+                message: 'Member is already approved'
+            });
+        }
+
+        user.recordApproval('rejected', req.session.userId, reason);
+        await user.save();
+        await sendApprovalEmail(user);
+        await notifyApproval(user, req.session.userId);
+
+        console.log('🚫 Member rejected:', user._id, 'by', req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Member rejected',
+            user
+        });
+
+    } catch (error) {
+        console.error('Reject error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error rejecting member',
+            error: error.message
+        });
+    }
+});
+
+// Admin: Get Pending Approvals (?status=rejected lists rejected applications)
+router.get('/pending', isAuthenticated, requirePermission('members.approve'), async (req, res) => {
     try {
-        const pendingUsers = await User.find({ 
-            userType: 'member', 
-            isApproved: false 
-        }).select('-__v');
+        const query = { userType: 'member', isApproved: false };
+        query.rejectedAt = req.query.status === 'rejected' ? { $exists: true } : { $exists: false };
+
+        const pendingUsers = await User.find(query)
+            .select('-__v')
+            .populate('approvalHistory.by', 'name email')
+            .sort({ createdAt: 1 });
 
         res.json({
             success: true,
-            users: pendingUsers
+            users: pendingUsers.map(user => ({
+                ...user.toObject(),
+                approvalStatus: user.approvalStatus
+            }))
         });
 
     } catch (error) {
@@ -419,4 +782,5 @@ router.get('/pending', isAuthenticated, isAdmin, async (req, res) => {
 
 module.exports = router;
 module.exports.isAuthenticated = isAuthenticated;
-module.exports.isAdmin = isAdmin;
\ No newline at end of file
+module.exports.isAdmin = isAdmin;
+module.exports.isApprovedMember = isApprovedMember;
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * Collection Routes
+ * Albums inside a portfolio, mounted at /api/portfolios/:id/collections
+ *
+ * Anyone can browse a portfolio's collections; only the portfolio's owner
+ * can create, edit, reorder and delete them. A collection only holds works
+ * from its own portfolio, and the same work can be in several collections.
+ * Deleting a collection leaves its works in the portfolio.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { Portfolio, User, Work } = require('../models');
+const { isAuthenticated } = require('./auth');
+const { canSeeHidden } = require('../services/moderation');
+
+const MAX_COLLECTIONS = 50;
+const WORK_FIELDS = 'title description category fileUrl derivatives video.posterUrl voteCount createdAt';
+
+// Owners and moderators see hidden portfolios and works, like findPortfolioForView
+async function viewerSeesHidden(req, portfolio) {
+    if (portfolio.userId.toString() === req.session.userId) return true;
+    const owner = await User.findById(portfolio.userId).select('cluster');
+    return canSeeHidden(req.session.userId, portfolio.userId, owner?.cluster || null);
+}
+
+// Works the viewer may see: never trashed ones, hidden ones only if allowed
+function visibleWorks(showHidden) {
+    return showHidden ? { deletedAt: null } : { deletedAt: null, hiddenAt: null };
+}
+
+/**
+ * Load the portfolio from :id, or send the error response and resolve to
+ * null. Sets res.locals.showHidden for the viewer.
+ */
+async function loadPortfolio(req, res, { owner = false } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid portfolio ID format'
+        });
+        return null;
+    }
+
+    const portfolio = await Portfolio.findById(req.params.id);
+    if (!portfolio || portfolio.deletedAt) {
+        res.status(404).json({
+            success: false,
+            message: 'Portfolio not found'
+        });
+        return null;
+    }
+
+    if (owner && portfolio.userId.toString() !== req.session.userId) {
+        res.status(403).json({
+            success: false,
+            message: 'Only the portfolio owner can change its collections'
+        });
+        return null;
+    }
+
+    res.locals.showHidden = owner || await viewerSeesHidden(req, portfolio);
+    if (portfolio.hiddenAt && !res.locals.showHidden) {
+        res.status(404).json({
+            success: false,
+            message: 'Portfolio not found'
+        });
+        return null;
+    }
+    return portfolio;
+}
+
+// Find :collectionId on the portfolio, or send a 404 and return null
+function findCollection(req, res, portfolio) {
+    const collection = mongoose.Types.ObjectId.isValid(req.params.collectionId)
+        ? portfolio.collections.id(req.params.collectionId)
+        : null;
+    if (!collection) {
+        res.status(404).json({
+            success: false,
+            message: 'Collection not found'
+        });
+    }
+    return collection;
+}
+
+/**
+ * Check a list of work IDs against the portfolio. Returns the IDs without
+ * duplicates, or an error message.
+ */
+function validateWorks(portfolio, workIds) {
+    if (!Array.isArray(workIds)) {
+        return { error: 'works must be a list of work IDs' };
+    }
+    const owned = new Set(portfolio.works.map(id => id.toString()));
+    const unique = [...new Set(workIds.map(String))];
+    const foreign = unique.filter(id => !owned.has(id));
+    if (foreign.length > 0) {
+        return { error: `Not in this portfolio: ${foreign.join(', ')}` };
+    }
+    return { works: unique };
+}
+
+function validateCover(collection, coverWorkId) {
+    if (!coverWorkId) return null;
+    return collection.works.some(id => id.toString() === String(coverWorkId))
+        ? null
+        : 'The cover must be one of the collection\'s works';
+}
+
+// Collection with its cover and works populated, in order (trashed works, and
+// hidden ones unless showHidden, left out)
+async function presentCollection(collection, showHidden) {
+    const data = collection.toObject();
+    const ids = [...data.works, ...(data.coverWorkId ? [data.coverWorkId] : [])];
+    const works = await Work.find({ _id: { $in: ids }, ...visibleWorks(showHidden) }).select(WORK_FIELDS).lean();
+    const byId = new Map(works.map(work => [work._id.toString(), work]));
+
+    data.works = data.works.map(id => byId.get(id.toString())).filter(Boolean);
+    data.coverWorkId = data.coverWorkId ? byId.get(data.coverWorkId.toString()) || null : null;
+    return data;
+}
+
+// Get Collections (with cover works and counts of the works the viewer can see)
+router.get('/', async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res);
+        if (!portfolio) return;
+
+        // One lookup for the visible works of every collection
+        const allIds = portfolio.collections.flatMap(collection => collection.works);
+        const visible = new Set((await Work.find({ _id: { $in: allIds }, ...visibleWorks(res.locals.showHidden) })
+            .distinct('_id'))
+            .map(id => id.toString()));
+        const visibleIn = collection => collection.works.filter(id => visible.has(id.toString()));
+
+        // Then one for every cover (or first visible work, when no cover is set)
+        const coverIdOf = collection => collection.coverWorkId || visibleIn(collection)[0];
+        const coverIds = portfolio.collections.map(coverIdOf).filter(Boolean);
+        const covers = await Work.find({ _id: { $in: coverIds }, ...visibleWorks(res.locals.showHidden) })
+            .select(WORK_FIELDS)
+            .lean();
+        const coverById = new Map(covers.map(work => [work._id.toString(), work]));
+
+        res.json({
+            success: true,
+            collections: portfolio.collections.map(collection => {
+                const { works, ...data } = collection.toObject();
+                const coverId = coverIdOf(collection);
+                data.workCount = visibleIn(collection).length;
+                data.cover = coverId ? coverById.get(coverId.toString()) || null : null;
+                return data;
+            })
+        });
+
+    } catch (error) {
+        console.error('Error fetching collections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching collections',
+            error: error.message
+        });
+    }
+});
+
+// Reorder Collections ({ collections: [ids] }, every collection once)
+router.put('/order', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+
+        const order = Array.isArray(req.body.collections) ? req.body.collections.map(String) : null;
+        const current = portfolio.collections.map(collection => collection._id.toString());
+        if (!order || order.length !== current.length || new Set(order).size !== order.length ||
+            !order.every(id => current.includes(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'collections must list every collection ID exactly once'
+            });
+        }
+
+        portfolio.collections = order.map(id => portfolio.collections.id(id));
+        portfolio.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Collections reordered',
+            collections: portfolio.collections.map(collection => collection._id)
+        });
+
+    } catch (error) {
+        console.error('Error reordering collections:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reordering collections',
+            error: error.message
+        });
+    }
+});
+
+// Get a Collection (works in order)
+router.get('/:collectionId', async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res);
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        res.json({
+            success: true,
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        console.error('Error fetching collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching collection',
+            error: error.message
+        });
+    }
+});
+
+// Create a Collection
+router.post('/', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+
+        if (portfolio.collections.length >= MAX_COLLECTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `A portfolio can have at most ${MAX_COLLECTIONS} collections`
+            });
+        }
+
+        const { title, description, coverWorkId } = req.body;
+        if (!title || !String(title).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Collection title is required'
+            });
+        }
+
+        const { works, error } = validateWorks(portfolio, req.body.works || []);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        portfolio.collections.push({ title, description, works });
+        const collection = portfolio.collections[portfolio.collections.length - 1];
+
+        const coverError = validateCover(collection, coverWorkId);
+        if (coverError) {
+            return res.status(400).json({
+                success: false,
+                message: coverError
+            });
+        }
+        collection.coverWorkId = coverWorkId || null;
+
+        portfolio.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created',
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error creating collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating collection',
+            error: error.message
+        });
+    }
+});
+
+// Update a Collection's Title, Description or Cover
+router.put('/:collectionId', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        const { title, description, coverWorkId } = req.body;
+
+        if (title !== undefined) {
+            if (!String(title).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Collection title is required'
+                });
+            }
+            collection.title = title;
+        }
+        if (description !== undefined) collection.description = description;
+        if (coverWorkId !== undefined) {
+            const coverError = validateCover(collection, coverWorkId);
+            if (coverError) {
+                return res.status(400).json({
+                    success: false,
+                    message: coverError
+                });
+            }
+            collection.coverWorkId = coverWorkId || null;
+        }
+
+        collection.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Collection updated',
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error updating collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating collection',
+            error: error.message
+        });
+    }
+});
+
+// Set a Collection's Works and Their Order ({ works: [ids] })
+// Works the owner can't see (in the trash) stay in the collection, at the end
+router.put('/:collectionId/works', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        const { works, error } = validateWorks(portfolio, req.body.works);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const visible = (await Work.find({ _id: { $in: collection.works }, ...visibleWorks(res.locals.showHidden) })
+            .distinct('_id'))
+            .map(id => id.toString());
+        const kept = collection.works
+            .map(id => id.toString())
+            .filter(id => !visible.includes(id) && !works.includes(id));
+
+        collection.works = [...works, ...kept];
+        // A cover that was taken out of the collection goes with it
+        if (collection.coverWorkId && !collection.works.some(id => id.equals(collection.coverWorkId))) {
+            collection.coverWorkId = null;
+        }
+        collection.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Collection updated',
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        console.error('Error updating collection works:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating collection',
+            error: error.message
+        });
+    }
+});
+
+// Add a Work to a Collection (at the end)
+router.post('/:collectionId/works', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        if (!req.body.workId) {
+            return res.status(400).json({
+                success: false,
+                message: 'workId is required'
+            });
+        }
+
+        const { works, error } = validateWorks(portfolio, [req.body.workId]);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        if (!collection.works.some(id => id.toString() === works[0])) {
+            collection.works.push(works[0]);
+            collection.updatedAt = Date.now();
+            await portfolio.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Work added to collection',
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        console.error('Error adding work to collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating collection',
+            error: error.message
+        });
+    }
+});
+
+// Remove a Work from a Collection (it stays in the portfolio)
+router.delete('/:collectionId/works/:workId', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        collection.works = collection.works.filter(id => id.toString() !== req.params.workId);
+        if (collection.coverWorkId?.toString() === req.params.workId) {
+            collection.coverWorkId = null;
+        }
+        collection.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Work removed from collection',
+            collection: await presentCollection(collection, res.locals.showHidden)
+        });
+
+    } catch (error) {
+        console.error('Error removing work from collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating collection',
+            error: error.message
+        });
+    }
+});
+
+// Delete a Collection (its works stay in the portfolio)
+router.delete('/:collectionId', isAuthenticated, async (req, res) => {
+    try {
+        const portfolio = await loadPortfolio(req, res, { owner: true });
+        if (!portfolio) return;
+        const collection = findCollection(req, res, portfolio);
+        if (!collection) return;
+
+        collection.deleteOne();
+        portfolio.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Collection deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting collection:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting collection',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+/**
+ * Comment Routes
+ * Threaded comments on a work, mounted at /api/works/:id/comments
+ *
+ * Top-level comments are paginated newest first and come with their first
+ * few replies; the rest of a thread is paged through /:commentId/replies.
+ * Authors can edit (keeping the earlier text) and delete their comments.
+ * The work's owner, moderators of its cluster and admins can delete any
+ * comment on it. Deletion is soft: the comment stays in the thread with
+ * its text hidden.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { Comment, Work, User } = require('../models');
+const { isAuthenticated, isApprovedMember } = require('./auth');
+const { hasPermission, clusterForCategory } = require('../middleware/permissions');
+const { notify } = require('../services/notifications');
+const { softDeleteComment } = require('../services/comments');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Replies shown under each top-level comment before "show more"
+const REPLY_PREVIEW = 3;
+const MAX_BODY_LENGTH = 2000;
+
+const AUTHOR_FIELDS = 'name cluster userType';
+
+function pagination(query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+// Work owner, cluster moderators and admins moderate a work's comments
+const canModerate = (user, work) => Boolean(user) && (
+    work.userId.toString() === user._id.toString() ||
+    hasPermission(user, 'works.moderate', clusterForCategory(work.category))
+);
+
+// What readers see: deleted and hidden comments keep their place but not their text
+function presentComment(comment) {
+    const data = comment.toObject ? comment.toObject() : { ...comment };
+    delete data.edits;
+    data.edited = Boolean(comment.editedAt);
+    data.deleted = Boolean(comment.deletedAt);
+    data.hidden = Boolean(comment.hiddenAt);
+    delete data.hiddenAt;
+    if (data.deleted || data.hidden) {
+        data.body = '';
+        data.userId = null;
+    }
+    return data;
+}
+
+function validateBody(body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text) return 'Comment cannot be empty';
+    if (text.length > MAX_BODY_LENGTH) return `Comments are limited to ${MAX_BODY_LENGTH} characters`;
+    return null;
+}
+
+// Load the work from :id, or send the error response and resolve to null
+async function loadWork(req, res) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid work ID format'
+        });
+        return null;
+    }
+
+    const work = await Work.findById(req.params.id).select('userId category title commentCount deletedAt');
+    if (!work || work.deletedAt) {
+        res.status(404).json({
+            success: false,
+            message: 'Work not found'
+        });
+        return null;
+    }
+    return work;
+}
+
+// Load :commentId on the work, or send the error response and resolve to null
+async function loadComment(req, res, work) {
+    const comment = mongoose.Types.ObjectId.isValid(req.params.commentId)
+        ? await Comment.findOne({ _id: req.params.commentId, workId: work._id })
+        : null;
+    if (!comment) {
+        res.status(404).json({
+            success: false,
+            message: 'Comment not found'
+        });
+    }
+    return comment;
+}
+
+// Get Comments (top-level, newest first, with a preview of replies)
+router.get('/', async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+
+        const { page, limit, skip } = pagination(req.query);
+
+        // Deleted comments only stay while they still have replies
+        const query = {
+            workId: work._id,
+            parentId: null,
+            $or: [{ deletedAt: { $exists: false } }, { replyCount: { $gt: 0 } }]
+        };
+
+        const [comments, total] = await Promise.all([
+            Comment.find(query)
+                .populate('userId', AUTHOR_FIELDS)
+                .sort('-createdAt')
+                .skip(skip)
+                .limit(limit),
+            Comment.countDocuments(query)
+        ]);
+
+        const threads = await Promise.all(comments.map(async (comment) => {
+            const replies = comment.replyCount > 0
+                ? await Comment.find({ parentId: comment._id, deletedAt: { $exists: false } })
+                    .populate('userId', AUTHOR_FIELDS)
+                    .sort('createdAt')
+                    .limit(REPLY_PREVIEW)
+                : [];
+            return { ...presentComment(comment), replies: replies.map(presentComment) };
+        }));
+
+        res.json({
+            success: true,
+            comments: threads,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            commentCount: work.commentCount
+        });
+
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comments',
+            error: error.message
+        });
+    }
+});
+
+// Get Replies to a Comment (oldest first)
+router.get('/:commentId/replies', async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+        const comment = await loadComment(req, res, work);
+        if (!comment) return;
+
+        const { page, limit, skip } = pagination(req.query);
+        const query = { parentId: comment._id, deletedAt: { $exists: false } };
+
+        const [replies, total] = await Promise.all([
+            Comment.find(query)
+                .populate('userId', AUTHOR_FIELDS)
+                .sort('createdAt')
+                .skip(skip)
+                .limit(limit),
+            Comment.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            replies: replies.map(presentComment),
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+
+    } catch (error) {
+        console.error('Error fetching replies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching replies',
+            error: error.message
+        });
+    }
+});
+
+// Get a Comment's Edit History
+router.get('/:commentId/history', async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+        const comment = await loadComment(req, res, work);
+        if (!comment) return;
+
+        if (comment.deletedAt || comment.hiddenAt) {
+            return res.status(410).json({
+                success: false,
+                message: comment.deletedAt ? 'This comment was deleted' : 'This comment was hidden by moderators'
+            });
+        }
+
+        res.json({
+            success: true,
+            current: { body: comment.body, editedAt: comment.editedAt || comment.createdAt },
+            edits: [...comment.edits].reverse()
+        });
+
+    } catch (error) {
+        console.error('Error fetching comment history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comment history',
+            error: error.message
+        });
+    }
+});
+
+// Post a Comment or Reply
+router.post('/', isAuthenticated, isApprovedMember, async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+
+        const { body, parentId } = req.body;
+        const bodyError = validateBody(body);
+        if (bodyError) {
+            return res.status(400).json({
+                success: false,
+                message: bodyError
+            });
+        }
+
+        let parent = null;
+        if (parentId) {
+            parent = mongoose.Types.ObjectId.isValid(parentId)
+                ? await Comment.findOne({ _id: parentId, workId: work._id })
+                : null;
+            if (!parent || parent.deletedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The comment you are replying to is not available'
+                });
+            }
+        }
+
+        const comment = await Comment.create({
+            workId: work._id,
+            userId: req.session.userId,
+            // Replies to replies join the same thread
+            parentId: parent ? (parent.parentId || parent._id) : null,
+            replyTo: parent ? parent._id : undefined,
+            body: body.trim()
+        });
+
+        if (comment.parentId) {
+            await Comment.updateOne({ _id: comment.parentId }, { $inc: { replyCount: 1 } });
+        }
+        await Work.updateOne({ _id: work._id }, { $inc: { commentCount: 1 } });
+
+        await comment.populate('userId', AUTHOR_FIELDS);
+
+        // The person replied to hears about it as a reply, the work owner as a comment
+        const commenter = req.session.userId;
+        const link = `work.html?id=${work._id}#comment-${comment._id}`;
+        const repliedTo = parent ? parent.userId.toString() : null;
+        if (repliedTo && repliedTo !== commenter) {
+            await notify(repliedTo, {
+                type: 'reply',
+                message: `${comment.userId.name} replied to your comment on "${work.title}"`,
+                link,
+                actorId: commenter,
+                workId: work._id
+            });
+        }
+        const owner = work.userId.toString();
+        if (owner !== commenter && owner !== repliedTo) {
+            await notify(owner, {
+                type: 'comment',
+                message: `${comment.userId.name} commented on "${work.title}"`,
+                link,
+                actorId: commenter,
+                workId: work._id
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Comment posted',
+            comment: presentComment(comment)
+        });
+
+    } catch (error) {
+        console.error('Error posting comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error posting comment',
+            error: error.message
+        });
+    }
+});
+
+// Edit a Comment (author only; the earlier text goes into the history)
+router.put('/:commentId', isAuthenticated, async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+        const comment = await loadComment(req, res, work);
+        if (!comment) return;
+
+        if (comment.userId.toString() !== req.session.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own comments'
+            });
+        }
+
+        if (comment.deletedAt || comment.hiddenAt) {
+            return res.status(400).json({
+                success: false,
+                message: comment.deletedAt ? 'Deleted comments cannot be edited' : 'Hidden comments cannot be edited'
+            });
+        }
+
+        const bodyError = validateBody(req.body.body);
+        if (bodyError) {
+            return res.status(400).json({
+                success: false,
+                message: bodyError
+            });
+        }
+
+        const body = req.body.body.trim();
+        if (body !== comment.body) {
+            comment.edits.push({ body: comment.body, editedAt: comment.editedAt || comment.createdAt });
+            comment.body = body;
+            comment.editedAt = new Date();
+            await comment.save();
+        }
+
+        await comment.populate('userId', AUTHOR_FIELDS);
+
+        res.json({
+            success: true,
+            message: 'Comment updated',
+            comment: presentComment(comment)
+        });
+
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error editing comment',
+            error: error.message
+        });
+    }
+});
+
+// Delete a Comment (author, work owner, cluster moderator or admin)
+router.delete('/:commentId', isAuthenticated, async (req, res) => {
+    try {
+        const work = await loadWork(req, res);
+        if (!work) return;
+        const comment = await loadComment(req, res, work);
+        if (!comment) return;
+
+        const user = await User.findById(req.session.userId);
+        const isAuthor = comment.userId.toString() === req.session.userId;
+
+        if (!isAuthor && !canModerate(user, work)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this comment'
+            });
+        }
+
+        const deletedAs = isAuthor ? 'author' : 'moderator';
+        if (await softDeleteComment(comment, user._id, deletedAs)) {
+            console.log(`Comment ${comment._id} deleted by ${deletedAs} ${user._id}`);
+        }
+
+        res.json({
+            success: true,
+            message: 'Comment deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting comment',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Integrity Routes
+ * Admin check and repair of dangling references (see services/integrity.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, isAdmin } = require('./auth');
+const { checkIntegrity, getLastIntegrityReport } = require('../services/integrity');
+
+// Admin: Last check or repair report
+router.get('/', isAuthenticated, isAdmin, (req, res) => {
+    res.json({
+        success: true,
+        report: getLastIntegrityReport()
+    });
+});
+
+// Admin: Run a Check ({ repair: true } also fixes what it finds)
+router.post('/', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const repair = req.body.repair === true;
+        const report = await checkIntegrity({ repair });
+
+        res.json({
+            success: true,
+            message: repair
+                ? `Repaired ${report.total} problem(s)`
+                : `Found ${report.total} problem(s)`,
+            report
+        });
+
+    } catch (error) {
+        console.error('Error checking integrity:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error checking integrity',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
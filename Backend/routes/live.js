@@ -0,0 +1,71 @@
+/**
+ * Live Routes
+ * Server-Sent Event streams of vote counts and leaderboards, for a theme
+ * or a category (see services/live.js). Use with EventSource.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Theme } = require('../models');
+const { subscribe, themeChannel, categoryChannel } = require('../services/live');
+
+const CATEGORIES = ['All', 'Photos', 'Graphics', 'Videos'];
+
+// Stream a Theme's Vote Counts and Leaderboard
+router.get('/themes/:id', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid theme ID format'
+            });
+        }
+
+        const theme = await Theme.findById(req.params.id).select('_id');
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        await subscribe(req, res, themeChannel(theme._id));
+
+    } catch (error) {
+        console.error('Error opening theme stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Error opening live updates',
+                error: error.message
+            });
+        }
+    }
+});
+
+// Stream a Category's Vote Counts and Rankings
+router.get('/categories/:category', async (req, res) => {
+    try {
+        if (!CATEGORIES.includes(req.params.category)) {
+            return res.status(400).json({
+                success: false,
+                message: `Category must be one of: ${CATEGORIES.join(', ')}`
+            });
+        }
+
+        await subscribe(req, res, categoryChannel(req.params.category));
+
+    } catch (error) {
+        console.error('Error opening category stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Error opening live updates',
+                error: error.message
+            });
+        }
+    }
+});
+
+module.exports = router;
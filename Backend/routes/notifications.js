@@ -0,0 +1,189 @@
+/**
+ * Notification Routes
+ * The signed-in user's notifications, unread count and digest preference
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Notification, User } = require('../models');
+const { isAuthenticated } = require('./auth');
+const { DIGEST_OPTIONS, unreadCount } = require('../services/notifications');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+router.use(isAuthenticated);
+
+// Get My Notifications (newest first)
+router.get('/', async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const query = { userId: req.session.userId };
+        if (req.query.unread === 'true') {
+            query.readAt = null;
+        }
+
+        const [notifications, total, unread] = await Promise.all([
+            Notification.find(query)
+                .populate('actorId', 'name')
+                .sort('-updatedAt')
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Notification.countDocuments(query),
+            unreadCount(req.session.userId)
+        ]);
+
+        res.json({
+            success: true,
+            notifications,
+            unreadCount: unread,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        });
+
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching notifications',
+            error: error.message
+        });
+    }
+});
+
+// Get My Unread Count (polled by the header bell)
+router.get('/unread-count', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            unreadCount: await unreadCount(req.session.userId)
+        });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error counting notifications',
+            error: error.message
+        });
+    }
+});
+
+// Mark All as Read
+router.put('/read-all', async (req, res) => {
+    try {
+        const { modifiedCount } = await Notification.updateMany(
+            { userId: req.session.userId, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            message: `${modifiedCount} notification${modifiedCount === 1 ? '' : 's'} marked as read`,
+            unreadCount: 0
+        });
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notifications',
+            error: error.message
+        });
+    }
+});
+
+// Get My Digest Preference
+router.get('/preferences', async (req, res) => {
+    try {
+        const user = await User.findById(req.session.userId).select('emailDigest lastDigestAt');
+        res.json({
+            success: true,
+            emailDigest: user?.emailDigest || 'off',
+            lastDigestAt: user?.lastDigestAt,
+            options: DIGEST_OPTIONS
+        });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching preferences',
+            error: error.message
+        });
+    }
+});
+
+// Update My Digest Preference
+router.put('/preferences', async (req, res) => {
+    try {
+        const { emailDigest } = req.body;
+        if (!DIGEST_OPTIONS.includes(emailDigest)) {
+            return res.status(400).json({
+                success: false,
+                message: `emailDigest must be one of: ${DIGEST_OPTIONS.join(', ')}`
+            });
+        }
+
+        // Start the period now so the first digest doesn't go out immediately
+        await User.updateOne(
+            { _id: req.session.userId },
+            { $set: { emailDigest, lastDigestAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            message: emailDigest === 'off' ? 'Email digests turned off' : `You'll get a ${emailDigest} email digest`,
+            emailDigest
+        });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating preferences',
+            error: error.message
+        });
+    }
+});
+
+// Mark One as Read / Unread
+router.put('/:id/:state(read|unread)', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid notification ID format'
+            });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, userId: req.session.userId },
+            { $set: { readAt: req.params.state === 'read' ? new Date() : null } },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            notification,
+            unreadCount: await unreadCount(req.session.userId)
+        });
+    } catch (error) {
+        console.error('Error updating notification:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notification',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
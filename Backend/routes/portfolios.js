@@ -6,8 +6,46 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { Portfolio, User, Work } = require('../models');
+const { Portfolio, User, Work, MAX_PINNED_WORKS } = require('../models');
 const { isAuthenticated } = require('./auth');
+const { escapeRegex } = require('../services/search');
+const {
+    normalizeSlug,
+    validateSlug,
+    isSlugTaken,
+    setPortfolioSlug,
+    findBySlug
+} = require('../services/portfolioSlugs');
+const { exportPortfolio } = require('../services/portfolioExport');
+const { canSeeHidden } = require('../services/moderation');
+const { createPortfolio, recountPortfolioVotes, deletePortfolio } = require('../services/portfolios');
+
+/**
+ * A portfolio as the portfolio page shows it to the viewer. Hidden
+ * portfolios (null) and hidden works are only shown to the owner and
+ * moderators.
+ */
+async function findPortfolioForView(filter, viewerId) {
+    const portfolio = await Portfolio.findOne(filter)
+        .populate('userId','name email cluster position batchName')
+        .populate({
+            path: 'works',
+            populate: { path: 'userId', select: 'name'}
+        })
+        .lean(); // Use lean() for better performance
+    if (!portfolio || portfolio.deletedAt) return null;
+
+    // Trashed works are gone for everyone until they are restored
+    portfolio.works = portfolio.works.filter(work => !work.deletedAt);
+
+    const owner = portfolio.userId || {};
+    const hasHidden = portfolio.hiddenAt || portfolio.works.some(work => work.hiddenAt);
+    if (hasHidden && !await canSeeHidden(viewerId, owner._id, owner.cluster || null)) {
+        if (portfolio.hiddenAt) return null;
+        portfolio.works = portfolio.works.filter(work => !work.hiddenAt);
+    }
+    return portfolio;
+}
 
 // Get All Portfolios (with filters)
 router.get('/', async (req, res) => {
@@ -25,7 +63,7 @@ router.get('/', async (req, res) => {
         }
         
         if (search) {
-            userQuery.name = { $regex: search, $options: 'i' };
+            userQuery.name = { $regex: escapeRegex(search), $options: 'i' };
         }
 
         // Find matching users
@@ -33,7 +71,7 @@ router.get('/', async (req, res) => {
         const userIds = users.map(u => u._id);
 
         // Find portfolios for these users
-        const portfolios = await Portfolio.find({ userId: { $in: userIds } })
+        const portfolios = await Portfolio.find({ userId: { $in: userIds }, hiddenAt: null, deletedAt: null })
             .populate({
                 path: 'userId',
                 select: 'name email cluster position batchName'
@@ -41,6 +79,7 @@ router.get('/', async (req, res) => {
             .populate({
                 path: 'works',
                 select: 'title category voteCount featured createdAt',
+                match: { hiddenAt: null, deletedAt: null },
                 options: { limit: 5, sort: '-createdAt' }
             })
             .limit(parseInt(limit))
@@ -80,18 +119,8 @@ router.get('/user/:userId', async (req, res) => {
             });
         }
 
-        const portfolio = await Portfolio.findOne({userId: req.params.userId})
-            .populate({
-                path: 'userId',
-                select: 'name email cluster position batchName'
-            })
-            .populate({
-                path: 'works',
-                populate: {
-                    path: 'userId',
-                    select: 'name'
-                }
-            });
+        // Hidden and trashed portfolios and works drop out like on the other views
+        const portfolio = await findPortfolioForView({ userId: req.params.userId }, req.session.userId);
 
         if (!portfolio) {
             console.log('No portfolio found for user:', req.params.userId);
@@ -118,6 +147,70 @@ router.get('/user/:userId', async (req, res) => {
     }
 });
 
+// Check a Vanity URL Slug (?portfolioId= to ignore the caller's own portfolio)
+router.get('/slug/:slug/availability', async (req, res) => {
+    try {
+        const slug = normalizeSlug(req.params.slug);
+        try {
+            validateSlug(slug);
+        } catch (error) {
+            return res.json({ success: true, slug, available: false, message: error.message });
+        }
+
+        const portfolioId = mongoose.Types.ObjectId.isValid(req.query.portfolioId) ? req.query.portfolioId : null;
+        const taken = await isSlugTaken(slug, portfolioId);
+
+        res.json({
+            success: true,
+            slug,
+            available: !taken,
+            message: taken ? `The portfolio URL "${slug}" is already taken` : `"${slug}" is available`
+        });
+
+    } catch (error) {
+        console.error('Error checking portfolio slug:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error checking portfolio URL',
+            error: error.message
+        });
+    }
+});
+
+// Get Portfolio by Slug (301 to the current slug when given a previous one)
+router.get('/slug/:slug', async (req, res) => {
+    try {
+        const found = await findBySlug(req.params.slug);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Portfolio not found'
+            });
+        }
+
+        if (found.moved) {
+            return res.redirect(301, `${req.baseUrl}/slug/${found.portfolio.slug}`);
+        }
+
+        const portfolio = await findPortfolioForView({ _id: found.portfolio._id }, req.session.userId);
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Portfolio not found'
+            });
+        }
+        res.json({ success: true, portfolio, maxPinnedWorks: MAX_PINNED_WORKS });
+
+    } catch (error) {
+        console.error('Error fetching portfolio by slug:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching portfolio',
+            error: error.message
+        });
+    }
+});
+
 // Get Portfolio by ID
 router.get('/:id', async (req, res) => {
     try {
@@ -130,13 +223,7 @@ router.get('/:id', async (req, res) => {
             });
         }
 
-        const portfolio = await Portfolio.findById(req.params.id)
-            .populate('userId','name email cluster position batchName')
-            .populate({
-                path: 'works',
-                populate: { path: 'userId', select: 'name'}
-            })
-            .lean(); // Use lean() for better performance
+        const portfolio = await findPortfolioForView({ _id: req.params.id }, req.session.userId);
 
         if (!portfolio) {
             return res.status(404).json({
@@ -145,7 +232,7 @@ router.get('/:id', async (req, res) => {
             });
         }
 
-        res.json({ success: true, portfolio});
+        res.json({ success: true, portfolio, maxPinnedWorks: MAX_PINNED_WORKS });
 
     } catch (error) {
         console.error('Error fetching portfolio:', error);
@@ -188,14 +275,8 @@ router.post('/', isAuthenticated, async (req, res) => {
 
         const { title, bio, socialMedia } = req.body;
 
-        const newPortfolio = new Portfolio({
-            userId: req.session.userId,
-            title: title || `${user.name}'s Portfolio`,
-            bio: bio || '',
-            socialMedia: socialMedia || ''
-        });
-
-        await newPortfolio.save();
+        // Picks up any works the member already has
+        const newPortfolio = await createPortfolio(user, { title, bio, socialMedia });
         await newPortfolio.populate('userId', 'name email cluster position batchName');
 
         console.log('Portfolio created successfully:', newPortfolio._id);
@@ -244,8 +325,19 @@ router.put('/:id', isAuthenticated, async (req, res) => {
             });
         }
 
-        const { title, bio, socialMedia } = req.body;
-        
+        const { title, bio, socialMedia, slug } = req.body;
+
+        if (slug) {
+            try {
+                await setPortfolioSlug(portfolio, slug);
+            } catch (error) {
+                if (!error.status) throw error;
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
         if (title) portfolio.title = title;
         if (bio !== undefined) portfolio.bio = bio;
         if (socialMedia !== undefined) portfolio.socialMedia = socialMedia;
@@ -262,6 +354,13 @@ router.put('/:id', isAuthenticated, async (req, res) => {
         });
 
     } catch (error) {
+        // Another portfolio claimed the same slug at the same moment
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'That portfolio URL is already taken'
+            });
+        }
         console.error('Error updating portfolio:', error);
         res.status(500).json({
             success: false,
@@ -271,6 +370,146 @@ router.put('/:id', isAuthenticated, async (req, res) => {
     }
 });
 
+// Reorder and Pin Works (Owner only)
+// { works: [every work ID, in display order], pinned: [up to MAX_PINNED_WORKS IDs] }
+// Works in the trash aren't shown, so they're left out and kept at the end
+router.put('/:id/order', isAuthenticated, async (req, res) => {
+    try {
+        // Validate portfolio ID format
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid portfolio ID format'
+            });
+        }
+
+        const portfolio = await Portfolio.findById(req.params.id);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Portfolio not found'
+            });
+        }
+
+        // Check if user is owner
+        if (portfolio.userId.toString() !== req.session.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reorder this portfolio'
+            });
+        }
+
+        const trashed = (await Work.find({ _id: { $in: portfolio.works }, deletedAt: { $ne: null } }).select('_id'))
+            .map(work => work._id.toString());
+        const current = portfolio.works.map(id => id.toString()).filter(id => !trashed.includes(id));
+        const { works, pinned } = req.body;
+
+        if (works !== undefined) {
+            // Must be a permutation, so a stale page can't drop or add works
+            const order = Array.isArray(works) ? works.map(String) : null;
+            if (!order || order.length !== current.length || new Set(order).size !== order.length ||
+                !order.every(id => current.includes(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'works must list every work in the portfolio exactly once'
+                });
+            }
+            portfolio.works = [...order, ...trashed];
+        }
+
+        if (pinned !== undefined) {
+            const pins = Array.isArray(pinned) ? [...new Set(pinned.map(String))] : null;
+            if (!pins || !pins.every(id => current.includes(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'pinned must list works from this portfolio'
+                });
+            }
+            if (pins.length > MAX_PINNED_WORKS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `You can pin at most ${MAX_PINNED_WORKS} works`
+                });
+            }
+            portfolio.pinnedWorks = pins;
+        }
+
+        portfolio.updatedAt = Date.now();
+        await portfolio.save();
+
+        res.json({
+            success: true,
+            message: 'Portfolio order saved',
+            works: portfolio.works,
+            pinnedWorks: portfolio.pinnedWorks
+        });
+
+    } catch (error) {
+        console.error('Error reordering portfolio:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reordering portfolio',
+            error: error.message
+        });
+    }
+});
+
+// Download Portfolio as a Static Site (Owner only)
+router.get('/:id/export', isAuthenticated, async (req, res) => {
+    try {
+        // Validate portfolio ID format
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid portfolio ID format'
+            });
+        }
+
+        const portfolio = await Portfolio.findById(req.params.id)
+            .populate('userId', 'name cluster position');
+
+        if (!portfolio) {
+            return res.status(404).json({
+                success: false,
+                message: 'Portfolio not found'
+            });
+        }
+
+        // Check if user is owner
+        if (portfolio.userId._id.toString() !== req.session.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to export this portfolio'
+            });
+        }
+
+        const { filename, buffer } = await exportPortfolio(portfolio);
+        console.log(`📦 Exported portfolio ${portfolio._id} (${portfolio.works.length} works, ${buffer.length} bytes)`);
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Content-Length': buffer.length
+        });
+        res.send(buffer);
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error exporting portfolio:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error exporting portfolio',
+            error: error.message
+        });
+    }
+});
+
 // Delete Portfolio (Owner only)
 router.delete('/:id', isAuthenticated, async (req, res) => {
     try {
@@ -299,7 +538,7 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
             });
         }
 
-        await Portfolio.findByIdAndDelete(req.params.id);
+        await deletePortfolio(portfolio);
 
         res.json({
             success: true,
@@ -327,7 +566,7 @@ router.patch('/:id/votes', async (req, res) => {
             });
         }
 
-        const portfolio = await Portfolio.findById(req.params.id).populate('works');
+        const portfolio = await Portfolio.findById(req.params.id);
         
         if (!portfolio) {
             return res.status(404).json({
@@ -336,11 +575,8 @@ router.patch('/:id/votes', async (req, res) => {
             });
         }
 
-        // Calculate total votes from all works
-        const totalVotes = portfolio.works.reduce((sum, work) => sum + (work.voteCount || 0), 0);
-        portfolio.totalVotes = totalVotes;
-        
-        await portfolio.save();
+        // Calculate total votes from all of the owner's works
+        const totalVotes = await recountPortfolioVotes(portfolio);
 
         res.json({
             success: true,
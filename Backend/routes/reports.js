@@ -0,0 +1,125 @@
+/**
+ * Report Routes
+ * Members report works, comments and portfolios; moderators (reports.review)
+ * work through the queue. See services/moderation.js for what each action does.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { Report, REPORT_REASONS } = require('../models');
+const { isAuthenticated } = require('./auth');
+const { requirePermission, hasPermission, permissionScopes } = require('../middleware/permissions');
+const { ACTIONS, createReport, reportQueue, resolveReport } = require('../services/moderation');
+
+const STATUSES = ['open', 'dismissed', 'hidden', 'removed', 'restored'];
+
+function sendReportError(res, error, message) {
+    if (error.status || error.name === 'ValidationError') {
+        return res.status(error.status || 400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+}
+
+// Report Reasons (for the report dialog)
+router.get('/reasons', (req, res) => {
+    res.json({
+        success: true,
+        reasons: REPORT_REASONS
+    });
+});
+
+// Report a Work, Comment or Portfolio
+// { targetType: 'work' | 'comment' | 'portfolio', targetId, reason, details }
+router.post('/', isAuthenticated, async (req, res) => {
+    try {
+        await createReport(req.body, req.session.userId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Thanks for letting us know. Moderators will review your report.'
+        });
+
+    } catch (error) {
+        sendReportError(res, error, 'Error filing report');
+    }
+});
+
+// Moderation Queue (?status=open), grouped by reported item
+router.get('/', isAuthenticated, requirePermission('reports.review'), async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${STATUSES.join(', ')}`
+            });
+        }
+
+        // Cluster moderators only see their clusters' reports
+        const scopes = permissionScopes(req.user)['reports.review'] || [];
+        const clusters = scopes.includes('*') ? undefined : scopes;
+
+        const items = await reportQueue({ status, clusters });
+
+        res.json({
+            success: true,
+            items,
+            count: items.length,
+            actions: ACTIONS
+        });
+
+    } catch (error) {
+        sendReportError(res, error, 'Error fetching reports');
+    }
+});
+
+// Act on a Report: { action: 'dismiss' | 'hide' | 'remove' | 'restore', note }
+// Applies to every report on the same item
+router.post('/:id/resolve', isAuthenticated, requirePermission('reports.review'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid report ID format'
+            });
+        }
+
+        const report = await Report.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'reports.review', report.cluster)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only review reports in your cluster'
+            });
+        }
+
+        const { action, note } = req.body;
+        const result = await resolveReport(report, action, req.user, note ? String(note).slice(0, 500) : undefined);
+
+        res.json({
+            success: true,
+            message: `${result.count} report${result.count === 1 ? '' : 's'} marked ${result.status}`,
+            ...result
+        });
+
+    } catch (error) {
+        sendReportError(res, error, 'Error resolving report');
+    }
+});
+
+module.exports = router;
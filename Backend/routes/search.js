@@ -0,0 +1,60 @@
+/**
+ * Search Routes
+ * Relevance-ranked search across works, members and themes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SEARCH_TYPES, search } = require('../services/search');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const CATEGORIES = ['Photos', 'Graphics', 'Videos'];
+
+// Search Everything
+// ?q=text&types=works,members,themes&limit=5&category=Photos&prefix=false
+router.get('/', async (req, res) => {
+    try {
+        const { q, category } = req.query;
+        const types = req.query.types
+            ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+            : SEARCH_TYPES;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        if (category && category !== 'All' && !CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                message: `Category must be one of: All, ${CATEGORIES.join(', ')}`
+            });
+        }
+
+        const results = await search(q, {
+            types,
+            limit,
+            prefix: req.query.prefix !== 'false',
+            category: category === 'All' ? undefined : category
+        });
+
+        res.json({
+            success: true,
+            query: q.trim(),
+            results
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error searching:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error searching',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
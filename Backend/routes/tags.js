@@ -0,0 +1,246 @@
+/**
+ * Tag Routes
+ * Tag autocomplete, tag pages and the curation tools (tags.manage)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Tag, Work } = require('../models');
+const { isAuthenticated } = require('./auth');
+const { requirePermission } = require('../middleware/permissions');
+const { escapeRegex } = require('../services/search');
+const {
+    slugify,
+    parseTagInput,
+    findTag,
+    renameTag,
+    mergeTags,
+    deleteTag
+} = require('../services/tags');
+
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 50;
+
+function sendTagError(res, error, message) {
+    if (error.status || error.name === 'ValidationError') {
+        return res.status(error.status || 400).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+}
+
+// Load the tag named by :slug (or a former slug of it), or send a 404
+async function loadTag(req, res) {
+    const tag = await findTag(slugify(req.params.slug));
+    if (!tag) {
+        res.status(404).json({
+            success: false,
+            message: 'Tag not found'
+        });
+    }
+    return tag;
+}
+
+// Get Tags: autocomplete with ?q=, otherwise the most used
+// Curated tags come first; unused free-form tags are left out
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+        const query = { $or: [{ curated: true }, { usageCount: { $gt: 0 } }] };
+
+        const prefix = req.query.q ? slugify(req.query.q) : '';
+        if (prefix) {
+            // Anchored and case-sensitive on lowercase slugs, so it uses the slug index
+            query.slug = { $regex: `^${escapeRegex(prefix)}` };
+        }
+        if (req.query.curated === 'true') {
+            query.curated = true;
+        }
+
+        const tags = await Tag.find(query)
+            .select('name slug description curated usageCount')
+            .sort({ curated: -1, usageCount: -1, name: 1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            tags
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error fetching tags');
+    }
+});
+
+// Admin: Add a Curated Tag (or promote an existing one)
+router.post('/', isAuthenticated, requirePermission('tags.manage'), async (req, res) => {
+    try {
+        const [parsed] = parseTagInput([req.body.name || '']);
+        if (!parsed) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tag name is required'
+            });
+        }
+
+        const existing = await findTag(parsed.slug);
+        const tag = existing || new Tag({ name: parsed.name, slug: parsed.slug, createdBy: req.user._id });
+        tag.curated = true;
+        if (req.body.description !== undefined) {
+            tag.description = req.body.description;
+        }
+        tag.updatedAt = Date.now();
+        await tag.save();
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? `"${tag.name}" is now a curated tag` : `Curated tag "${tag.name}" created`,
+            tag
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error saving tag');
+    }
+});
+
+// Admin: Merge Tags ({ from: [slugs], into: slug })
+router.post('/merge', isAuthenticated, requirePermission('tags.manage'), async (req, res) => {
+    try {
+        const { from, into } = req.body;
+        if (!Array.isArray(from) || from.length === 0 || !into) {
+            return res.status(400).json({
+                success: false,
+                message: 'Give the tags to merge (from) and the tag to keep (into)'
+            });
+        }
+
+        const target = await findTag(slugify(into));
+        const sources = await Promise.all(from.map(slug => findTag(slugify(slug))));
+        const missing = from.filter((slug, index) => !sources[index]);
+        if (!target || missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: `Tag not found: ${[...(target ? [] : [into]), ...missing].join(', ')}`
+            });
+        }
+
+        const tag = await mergeTags(sources, target);
+        console.log(`🏷️ Merged ${from.join(', ')} into ${tag.slug}`);
+
+        res.json({
+            success: true,
+            message: `Merged into "${tag.name}"`,
+            tag
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error merging tags');
+    }
+});
+
+// Get a Tag
+router.get('/:slug', async (req, res) => {
+    try {
+        const tag = await loadTag(req, res);
+        if (!tag) return;
+
+        res.json({
+            success: true,
+            tag
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error fetching tag');
+    }
+});
+
+// Get a Tag's Works
+router.get('/:slug/works', async (req, res) => {
+    try {
+        const tag = await loadTag(req, res);
+        if (!tag) return;
+
+        const { category, limit = 50, skip = 0, sort = '-createdAt' } = req.query;
+        const query = { tags: tag.slug, hiddenAt: null, deletedAt: null };
+        if (category && category !== 'All') {
+            query.category = category;
+        }
+
+        const [works, total] = await Promise.all([
+            Work.find(query)
+                .populate('userId', 'name email cluster position batchName')
+                .populate('themeId', 'title')
+                .sort(sort)
+                .limit(parseInt(limit))
+                .skip(parseInt(skip)),
+            Work.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            tag,
+            works,
+            count: works.length,
+            total
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error fetching tagged works');
+    }
+});
+
+// Admin: Rename, Describe or (Un)curate a Tag
+router.put('/:slug', isAuthenticated, requirePermission('tags.manage'), async (req, res) => {
+    try {
+        const tag = await loadTag(req, res);
+        if (!tag) return;
+
+        const { name, description, curated } = req.body;
+
+        if (description !== undefined) tag.description = description;
+        if (curated !== undefined) tag.curated = Boolean(curated);
+
+        if (name !== undefined && name !== tag.name) {
+            await renameTag(tag, name);
+        } else {
+            tag.updatedAt = Date.now();
+            await tag.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Tag updated',
+            tag
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error updating tag');
+    }
+});
+
+// Admin: Delete a Tag (removes it from every work)
+router.delete('/:slug', isAuthenticated, requirePermission('tags.manage'), async (req, res) => {
+    try {
+        const tag = await loadTag(req, res);
+        if (!tag) return;
+
+        const worksUpdated = await deleteTag(tag);
+
+        res.json({
+            success: true,
+            message: `Tag "${tag.name}" deleted from ${worksUpdated} work${worksUpdated === 1 ? '' : 's'}`
+        });
+
+    } catch (error) {
+        sendTagError(res, error, 'Error deleting tag');
+    }
+});
+
+module.exports = router;
@@ -6,8 +6,156 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { Theme, Work } = require('../models');
-const { isAuthenticated, isAdmin } = require('./auth');
+const { Theme, Work, User, Ballot, JudgeScore } = require('../models');
+const { isAuthenticated, isApprovedMember } = require('./auth');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { checkVotingRules } = require('../services/votes');
+const { DEFAULT_CRITERIA, computeThemeResults } = require('../services/scoring');
+const { syncThemeStatus, rescheduleThemes } = require('../services/themeLifecycle');
+const { findTies, assignAwards, overrideAwards } = require('../services/awards');
+const { escapeRegex } = require('../services/search');
+const { submitWork, withdrawSubmission, replaceSubmission, deleteTheme } = require('../services/themes');
+
+// Voting stays open this long after submissions close unless a voting end date is given
+const DEFAULT_VOTING_DAYS = 7;
+const USER_TYPES = ['guest', 'member', 'admin'];
+
+// Apply voting rule fields from a create/update body. Returns an error message or null.
+function applyVotingRules(theme, body) {
+    const { votingStartDate, votingEndDate, maxVotesPerUser, allowSelfVote, eligibleUserTypes } = body;
+    const voting = theme.voting || {};
+    const previousStart = voting.startDate;
+
+    if (votingStartDate) voting.startDate = new Date(votingStartDate);
+    if (votingEndDate) voting.endDate = new Date(votingEndDate);
+
+    // Voting follows the submission window by default
+    if (!voting.startDate || voting.startDate < theme.endDate) {
+        if (votingStartDate) {
+            return 'Voting cannot start before the submission window closes';
+        }
+        voting.startDate = theme.endDate;
+
+        // Moving the submission deadline moves voting with it, keeping its length
+        if (previousStart && voting.endDate && !votingEndDate) {
+            voting.endDate = new Date(voting.endDate.getTime() + (voting.startDate - previousStart));
+        }
+    }
+    if (!voting.endDate) {
+        voting.endDate = new Date(voting.startDate.getTime() + DEFAULT_VOTING_DAYS * 24 * 60 * 60 * 1000);
+    }
+    if (isNaN(voting.startDate) || isNaN(voting.endDate) || voting.endDate <= voting.startDate) {
+        return 'Voting end date must be after the voting start date';
+    }
+
+    if (maxVotesPerUser !== undefined) {
+        const max = parseInt(maxVotesPerUser, 10);
+        if (isNaN(max) || max < 0) {
+            return 'maxVotesPerUser must be 0 (unlimited) or more';
+        }
+        voting.maxVotesPerUser = max;
+    }
+
+    if (allowSelfVote !== undefined) {
+        voting.allowSelfVote = allowSelfVote === true || allowSelfVote === 'true';
+    }
+
+    if (eligibleUserTypes !== undefined) {
+        const types = Array.isArray(eligibleUserTypes) ? eligibleUserTypes : [eligibleUserTypes];
+        if (types.length === 0 || types.some(type => !USER_TYPES.includes(type))) {
+            return `eligibleUserTypes must list one or more of: ${USER_TYPES.join(', ')}`;
+        }
+        voting.eligibleUserTypes = types;
+    }
+
+    theme.voting = voting;
+    return null;
+}
+
+const SCORING_MODES = ['popular', 'ranked', 'judged', 'blend'];
+
+// Apply scoring fields from a create/update body. Returns an error message or null.
+function applyScoringRules(theme, body) {
+    const { scoringMode, criteria, judges, publicWeight, maxRankedChoices, honorableMentions } = body;
+    const scoring = theme.scoring || {};
+
+    if (scoringMode !== undefined) {
+        if (!SCORING_MODES.includes(scoringMode)) {
+            return `scoringMode must be one of: ${SCORING_MODES.join(', ')}`;
+        }
+        scoring.mode = scoringMode;
+    }
+
+    if (criteria !== undefined) {
+        // Accept ["Creativity", ...] or [{ name, weight }, ...]
+        const list = (Array.isArray(criteria) ? criteria : [criteria])
+            .map(c => (typeof c === 'string' ? { name: c, weight: 1 } : c))
+            .filter(c => c && typeof c.name === 'string' && c.name.trim());
+        const names = new Set(list.map(c => c.name.trim()));
+        if (names.size !== list.length || list.some(c => c.weight !== undefined && !(Number(c.weight) >= 0))) {
+            return 'Criteria need unique names and non-negative weights';
+        }
+        scoring.criteria = list.map(c => ({ name: c.name.trim(), weight: c.weight === undefined ? 1 : Number(c.weight) }));
+    }
+
+    // Judged contests need a rubric
+    if (['judged', 'blend'].includes(scoring.mode) && !(scoring.criteria && scoring.criteria.length)) {
+        scoring.criteria = DEFAULT_CRITERIA;
+    }
+
+    if (judges !== undefined) {
+        const ids = Array.isArray(judges) ? judges : [judges];
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return 'Judges must be user IDs';
+        }
+        scoring.judges = [...new Set(ids.map(String))];
+    }
+
+    if (publicWeight !== undefined) {
+        const weight = Number(publicWeight);
+        if (isNaN(weight) || weight < 0 || weight > 1) {
+            return 'publicWeight must be between 0 and 1';
+        }
+        scoring.publicWeight = weight;
+    }
+
+    if (maxRankedChoices !== undefined) {
+        const max = parseInt(maxRankedChoices, 10);
+        if (isNaN(max) || max < 1) {
+            return 'maxRankedChoices must be at least 1';
+        }
+        scoring.maxRankedChoices = max;
+    }
+
+    if (honorableMentions !== undefined) {
+        const count = parseInt(honorableMentions, 10);
+        if (isNaN(count) || count < 0) {
+            return 'honorableMentions must be 0 or more';
+        }
+        scoring.honorableMentions = count;
+    }
+
+    theme.scoring = scoring;
+    return null;
+}
+
+// Apply the per-member submission limit from a create/update body. Returns an error message or null.
+function applySubmissionRules(theme, body) {
+    const { maxSubmissionsPerMember } = body;
+
+    if (maxSubmissionsPerMember !== undefined) {
+        const max = parseInt(maxSubmissionsPerMember, 10);
+        if (isNaN(max) || max < 0) {
+            return 'maxSubmissionsPerMember must be 0 (unlimited) or more';
+        }
+        theme.maxSubmissionsPerMember = max;
+    }
+
+    return null;
+}
+
+// Is the user on the theme's judging panel?
+const isJudge = (theme, userId) => (theme.scoring?.judges || []).some(id => id.toString() === userId);
 
 // Get All Themes (with filters)
 router.get('/', async (req, res) => {
@@ -27,15 +175,17 @@ router.get('/', async (req, res) => {
         
         if (search) {
             query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { title: { $regex: escapeRegex(search), $options: 'i' } },
+                { description: { $regex: escapeRegex(search), $options: 'i' } }
             ];
         }
 
         const themes = await Theme.find(query)
+            .select('-submissionHistory')
             .populate('createdBy', 'name email')
             .populate({
                 path: 'submissions',
+                match: { hiddenAt: null, deletedAt: null },
                 populate: {
                     path: 'userId',
                     select: 'name cluster'
@@ -44,25 +194,6 @@ router.get('/', async (req, res) => {
             })
             .sort('-createdAt');
 
-        // Update theme statuses based on dates
-        const now = new Date();
-        for (const theme of themes) {
-            let newStatus = theme.status;
-            
-            if (now < new Date(theme.startDate)) {
-                newStatus = 'Upcoming';
-            } else if (now >= new Date(theme.startDate) && now <= new Date(theme.endDate)) {
-                newStatus = 'Active';
-            } else if (now > new Date(theme.endDate)) {
-                newStatus = 'Ended';
-            }
-            
-            if (newStatus !== theme.status) {
-                theme.status = newStatus;
-                await theme.save();
-            }
-        }
-
         res.json({
             success: true,
             themes,
@@ -82,15 +213,14 @@ router.get('/', async (req, res) => {
 // Get Active Theme
 router.get('/active', async (req, res) => {
     try {
-        const now = new Date();
-        
-        const activeTheme = await Theme.findOne({
-            startDate: { $lte: now },
-            endDate: { $gte: now }
-        })
+        // Open for submissions first, otherwise one that's being voted on
+        const activeTheme = await Theme.findOne({ status: { $in: ['Active', 'Voting'] } })
+        .sort({ status: 1, endDate: 1 })
+        .select('-submissionHistory')
         .populate('createdBy', 'name email')
         .populate({
             path: 'submissions',
+            match: { hiddenAt: null, deletedAt: null },
             populate: {
                 path: 'userId',
                 select: 'name cluster'
@@ -106,12 +236,6 @@ router.get('/active', async (req, res) => {
             });
         }
 
-        // Update status if needed
-        if (activeTheme.status !== 'Active') {
-            activeTheme.status = 'Active';
-            await activeTheme.save();
-        }
-
         res.json({
             success: true,
             theme: activeTheme
@@ -127,13 +251,48 @@ router.get('/active', async (req, res) => {
     }
 });
 
+// Hall of Fame: award winners of every ended theme, newest first
+router.get('/hall-of-fame', async (req, res) => {
+    try {
+        const { category } = req.query;
+
+        const query = { status: 'Ended', 'awards.0': { $exists: true } };
+        if (category && category !== 'All') {
+            query.category = category;
+        }
+
+        const themes = await Theme.find(query)
+            .select('title description category startDate endDate voting.endDate awards awardsDecidedAt')
+            .populate('awards.workId', 'title category fileUrl derivatives video.posterUrl voteCount')
+            .populate('awards.userId', 'name cluster')
+            .sort('-endDate')
+            .lean();
+
+        res.json({
+            success: true,
+            themes,
+            count: themes.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching hall of fame:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching hall of fame',
+            error: error.message
+        });
+    }
+});
+
 // Get Theme by ID
 router.get('/:id', async (req, res) => {
     try {
         const theme = await Theme.findById(req.params.id)
+            .select('-submissionHistory')
             .populate('createdBy', 'name email')
             .populate({
                 path: 'submissions',
+                match: { hiddenAt: null, deletedAt: null },
                 populate: {
                     path: 'userId',
                     select: 'name cluster'
@@ -163,7 +322,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create Theme (Admin only)
-router.post('/', isAuthenticated, isAdmin, async (req, res) => {
+router.post('/', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
     try {
         const { title, description, category, startDate, endDate } = req.body;
 
@@ -186,32 +345,35 @@ router.post('/', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        // Determine initial status
-        const now = new Date();
-        let status = 'Upcoming';
-        if (now >= start && now <= end) {
-            status = 'Active';
-        } else if (now > end) {
-            status = 'Ended';
-        }
-
         const newTheme = new Theme({
             title,
             description,
             category,
             startDate: start,
             endDate: end,
-            status,
             createdBy: req.session.userId
         });
 
+        const votingError = applyVotingRules(newTheme, req.body) || applyScoringRules(newTheme, req.body)
+            || applySubmissionRules(newTheme, req.body);
+        if (votingError) {
+            return res.status(400).json({
+                success: false,
+                message: votingError
+            });
+        }
+
         await newTheme.save();
-        await newTheme.populate('createdBy', 'name email');
+
+        // Themes created with past dates catch up (and fire their hooks) right away
+        const theme = await syncThemeStatus(newTheme);
+        rescheduleThemes();
+        await theme.populate('createdBy', 'name email');
 
         res.status(201).json({
             success: true,
             message: 'Theme created successfully',
-            theme: newTheme
+            theme
         });
 
     } catch (error) {
@@ -225,7 +387,7 @@ router.post('/', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Update Theme (Admin only)
-router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.put('/:id', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
     try {
         const theme = await Theme.findById(req.params.id);
         
@@ -236,7 +398,7 @@ router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        const { title, description, category, startDate, endDate, status } = req.body;
+        const { title, description, category, startDate, endDate } = req.body;
         
         if (title) theme.title = title;
         if (description) theme.description = description;
@@ -260,15 +422,27 @@ router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        if (status) theme.status = status;
+        // Moving the submission window moves an overlapping voting window along with it
+        const votingError = applyVotingRules(theme, req.body) || applyScoringRules(theme, req.body)
+            || applySubmissionRules(theme, req.body);
+        if (votingError) {
+            return res.status(400).json({
+                success: false,
+                message: votingError
+            });
+        }
 
         await theme.save();
-        await theme.populate('createdBy', 'name email');
+
+        // Status follows the dates; the scheduler re-plans around the new ones
+        const updated = await syncThemeStatus(theme);
+        rescheduleThemes();
+        await updated.populate('createdBy', 'name email');
 
         res.json({
             success: true,
             message: 'Theme updated successfully',
-            theme
+            theme: updated
         });
 
     } catch (error) {
@@ -282,7 +456,7 @@ router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Delete Theme (Admin only)
-router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
+router.delete('/:id', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
     try {
         const theme = await Theme.findById(req.params.id);
         
@@ -293,13 +467,9 @@ router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        // Remove themeId from all submissions
-        await Work.updateMany(
-            { themeId: theme._id },
-            { $unset: { themeId: '' } }
-        );
-
-        await Theme.findByIdAndDelete(req.params.id);
+        // Submissions, votes, ballots and awards are cleaned up with it
+        await deleteTheme(theme);
+        rescheduleThemes();
 
         res.json({
             success: true,
@@ -317,7 +487,7 @@ router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
 });
 
 // Submit Work to Theme (Members only)
-router.post('/:id/submit', isAuthenticated, async (req, res) => {
+router.post('/:id/submit', isAuthenticated, isApprovedMember, async (req, res) => {
     try {
         const theme = await Theme.findById(req.params.id);
         
@@ -328,75 +498,588 @@ router.post('/:id/submit', isAuthenticated, async (req, res) => {
             });
         }
 
-        // Check if theme is active
-        if (theme.status !== 'Active') {
+        const { workId } = req.body;
+        
+        if (!workId || !mongoose.Types.ObjectId.isValid(workId)) {
             return res.status(400).json({
                 success: false,
-                message: 'This theme is not currently accepting submissions'
+                message: 'Work ID is required'
+            });
+        }
+
+        const work = await Work.findById(workId);
+        const updated = await submitWork(theme, work, req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Work submitted successfully',
+            theme: updated
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error submitting work:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting work',
+            error: error.message
+        });
+    }
+});
+
+// Withdraw a Submission while the theme is Active (Owner only)
+router.delete('/:id/submissions/:workId', isAuthenticated, isApprovedMember, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        const updated = await withdrawSubmission(theme, req.params.workId, req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Work withdrawn from the theme',
+            theme: updated
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error withdrawing submission:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error withdrawing submission',
+            error: error.message
+        });
+    }
+});
+
+// Replace a Submission with another of the member's works ({ workId })
+router.put('/:id/submissions/:workId', isAuthenticated, isApprovedMember, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
             });
         }
 
         const { workId } = req.body;
-        
-        if (!workId) {
+        if (!workId || !mongoose.Types.ObjectId.isValid(workId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Work ID is required'
+                message: 'The replacement work ID is required'
             });
         }
 
-        // Find the work
-        const work = await Work.findById(workId);
-        
-        if (!work) {
+        const replacement = await Work.findById(workId);
+        const updated = await replaceSubmission(theme, req.params.workId, replacement, req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Submission replaced successfully',
+            theme: updated
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error replacing submission:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error replacing submission',
+            error: error.message
+        });
+    }
+});
+
+// Submission History: theme managers see every change, members their own
+router.get('/:id/submissions/history', isAuthenticated, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id)
+            .select('title status maxSubmissionsPerMember submissionHistory')
+            .populate('submissionHistory.workId', 'title')
+            .populate('submissionHistory.replacementId', 'title')
+            .populate('submissionHistory.by', 'name email')
+            .lean();
+
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        const user = await User.findById(req.session.userId);
+        const seeAll = hasPermission(user, 'themes.manage');
+        const history = theme.submissionHistory
+            .filter(entry => seeAll || String(entry.by?._id) === req.session.userId)
+            .reverse();
+
+        res.json({
+            success: true,
+            maxSubmissionsPerMember: theme.maxSubmissionsPerMember,
+            history
+        });
+
+    } catch (error) {
+        console.error('Error fetching submission history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching submission history',
+            error: error.message
+        });
+    }
+});
+
+// Get Theme Results (published once voting ends)
+router.get('/:id/results', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid theme ID format'
+            });
+        }
+
+        const theme = await Theme.findById(req.params.id)
+            .select('title category scoring.mode scoring.criteria scoring.publicWeight results awards')
+            .populate({
+                path: 'results.standings.workId',
+                select: 'title category fileUrl derivatives video.posterUrl userId',
+                populate: { path: 'userId', select: 'name cluster' }
+            });
+
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        if (!theme.results?.computedAt) {
+            return res.json({
+                success: true,
+                results: null,
+                message: 'Results are published when voting ends'
+            });
+        }
+
+        res.json({
+            success: true,
+            theme: { _id: theme._id, title: theme.title, category: theme.category, scoring: theme.scoring },
+            results: theme.results,
+            awards: theme.awards
+        });
+
+    } catch (error) {
+        console.error('Error fetching theme results:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching theme results',
+            error: error.message
+        });
+    }
+});
+
+// Recompute Theme Results (Admin only)
+// Only once voting has closed, so results never rank a theme mid-vote
+router.post('/:id/results', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid theme ID format'
+            });
+        }
+
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+        if (theme.statusAt() !== 'Ended') {
+            return res.status(400).json({
+                success: false,
+                message: `Results can only be computed after voting closes on ${theme.votingWindow().end.toISOString()}`
+            });
+        }
+
+        await computeThemeResults(theme);
+
+        // Overridden awards stay as the admin left them
+        await assignAwards(theme);
+
+        res.json({
+            success: true,
+            message: 'Results computed successfully',
+            results: theme.results,
+            awards: theme.awards
+        });
+
+    } catch (error) {
+        console.error('Error computing theme results:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error computing theme results',
+            error: error.message
+        });
+    }
+});
+
+// Get Theme Awards, with any podium ties an admin may want to settle
+router.get('/:id/awards', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid theme ID format'
+            });
+        }
+
+        const theme = await Theme.findById(req.params.id)
+            .select('title category awards awardsDecidedAt awardsOverriddenBy awardsOverriddenAt')
+            .populate('awards.workId', 'title category fileUrl derivatives video.posterUrl')
+            .populate('awards.userId', 'name cluster')
+            .populate('awardsOverriddenBy', 'name');
+
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            awards: theme.awards,
+            ties: findTies(theme.awards),
+            decidedAt: theme.awardsDecidedAt,
+            overriddenBy: theme.awardsOverriddenBy,
+            overriddenAt: theme.awardsOverriddenAt
+        });
+
+    } catch (error) {
+        console.error('Error fetching theme awards:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching theme awards',
+            error: error.message
+        });
+    }
+});
+
+// Override Theme Awards, e.g. to break a tie (Admin only)
+router.put('/:id/awards', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        if (!theme.results?.computedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Awards can only be changed once results are in'
+            });
+        }
+
+        await overrideAwards(theme, req.body.awards, req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Awards updated successfully',
+            awards: theme.awards,
+            ties: findTies(theme.awards)
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error overriding theme awards:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating awards',
+            error: error.message
+        });
+    }
+});
+
+// Clear an Awards Override, going back to the computed results (Admin only)
+router.delete('/:id/awards/override', isAuthenticated, requirePermission('themes.manage'), async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        await assignAwards(theme, { force: true });
+
+        res.json({
+            success: true,
+            message: 'Awards reset to the computed results',
+            awards: theme.awards,
+            ties: findTies(theme.awards)
+        });
+
+    } catch (error) {
+        console.error('Error resetting theme awards:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting awards',
+            error: error.message
+        });
+    }
+});
+
+// Get My Ranked-Choice Ballot
+router.get('/:id/ballot', isAuthenticated, async (req, res) => {
+    try {
+        const ballot = await Ballot.findOne({ themeId: req.params.id, userId: req.session.userId })
+            .populate('rankings', 'title category userId');
+
+        res.json({
+            success: true,
+            ballot
+        });
+
+    } catch (error) {
+        console.error('Error fetching ballot:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching ballot',
+            error: error.message
+        });
+    }
+});
+
+// Cast or Replace My Ranked-Choice Ballot ({ rankings: [workId, ...] }, best first)
+router.put('/:id/ballot', isAuthenticated, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
             return res.status(404).json({
                 success: false,
-                message: 'Work not found'
+                message: 'Theme not found'
+            });
+        }
+
+        if (theme.scoring?.mode !== 'ranked') {
+            return res.status(400).json({
+                success: false,
+                message: 'This theme does not use ranked-choice ballots'
             });
         }
 
-        // Check if user owns the work
-        if (work.userId.toString() !== req.session.userId) {
+        const user = await User.findById(req.session.userId);
+        const violation = await checkVotingRules({ user, theme });
+        if (violation) {
+            return res.status(violation.status).json({
+                success: false,
+                message: violation.message
+            });
+        }
+
+        const rankings = Array.isArray(req.body.rankings) ? req.body.rankings.map(String) : [];
+        const max = theme.scoring.maxRankedChoices || 3;
+        if (rankings.length === 0 || rankings.length > max) {
+            return res.status(400).json({
+                success: false,
+                message: `Rank between 1 and ${max} works`
+            });
+        }
+
+        if (new Set(rankings).size !== rankings.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each work can only be ranked once'
+            });
+        }
+
+        const submissions = new Set(theme.submissions.map(String));
+        if (rankings.some(id => !submissions.has(id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ballots can only rank works submitted to this theme'
+            });
+        }
+
+        if (!theme.voting?.allowSelfVote) {
+            const ownWork = await Work.exists({ _id: { $in: rankings }, userId: user._id });
+            if (ownWork) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You cannot rank your own work in this theme'
+                });
+            }
+        }
+
+        const ballot = await Ballot.findOneAndUpdate(
+            { themeId: theme._id, userId: user._id },
+            { $set: { rankings, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+            { upsert: true, new: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Ballot saved',
+            ballot
+        });
+
+    } catch (error) {
+        console.error('Error saving ballot:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error saving ballot',
+            error: error.message
+        });
+    }
+});
+
+// Get Judge Scores (judges see their own, admins see all)
+router.get('/:id/scores', isAuthenticated, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id).select('scoring');
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        const user = await User.findById(req.session.userId);
+        const canSeeAll = hasPermission(user, 'themes.manage');
+        if (!canSeeAll && !isJudge(theme, req.session.userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only judges can view scores'
+            });
+        }
+
+        const query = { themeId: theme._id };
+        if (!canSeeAll) query.judgeId = user._id;
+
+        const scores = await JudgeScore.find(query)
+            .populate('judgeId', 'name')
+            .populate('workId', 'title');
+
+        res.json({
+            success: true,
+            criteria: theme.scoring.criteria?.length ? theme.scoring.criteria : DEFAULT_CRITERIA,
+            scores
+        });
+
+    } catch (error) {
+        console.error('Error fetching judge scores:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching judge scores',
+            error: error.message
+        });
+    }
+});
+
+// Score a Submission (Judges only; { scores: { Criterion: 1-10, ... }, comment })
+router.put('/:id/scores/:workId', isAuthenticated, async (req, res) => {
+    try {
+        const theme = await Theme.findById(req.params.id);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        if (!['judged', 'blend'].includes(theme.scoring?.mode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This theme is not judged'
+            });
+        }
+
+        if (!isJudge(theme, req.session.userId)) {
             return res.status(403).json({
                 success: false,
-                message: 'You can only submit your own works'
+                message: 'Only judges on this theme can score works'
             });
         }
 
-        // Check if work category matches theme category
-        if (theme.category !== 'All' && work.category !== theme.category) {
+        // Judging runs from the close of submissions until results are published
+        if (new Date() < theme.endDate || theme.results?.computedAt) {
             return res.status(400).json({
                 success: false,
-                message: `This theme only accepts ${theme.category}`
+                message: 'Judging is not open for this theme'
             });
         }
 
-        // Check if work is already submitted
-        if (theme.submissions.includes(workId)) {
+        if (!theme.submissions.some(id => id.toString() === req.params.workId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Work already submitted to this theme'
+                message: 'Work is not submitted to this theme'
             });
         }
 
-        // Add work to theme submissions
-        theme.submissions.push(workId);
-        work.themeId = theme._id;
-        
-        await theme.save();
-        await work.save();
+        const criteria = theme.scoring.criteria?.length ? theme.scoring.criteria : DEFAULT_CRITERIA;
+        const input = req.body.scores || {};
+        const scores = [];
+        for (const { name } of criteria) {
+            const score = Number(input[name]);
+            if (!Number.isInteger(score) || score < 1 || score > 10) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Give "${name}" a whole-number score from 1 to 10`
+                });
+            }
+            scores.push({ criterion: name, score });
+        }
+
+        const sheet = await JudgeScore.findOneAndUpdate(
+            { themeId: theme._id, workId: req.params.workId, judgeId: req.session.userId },
+            { $set: { scores, comment: req.body.comment, updatedAt: new Date() } },
+            { upsert: true, new: true, runValidators: true }
+        );
 
         res.json({
             success: true,
-            message: 'Work submitted successfully',
-            theme
+            message: 'Scores saved',
+            score: sheet
         });
 
     } catch (error) {
-        console.error('Error submitting work:', error);
+        console.error('Error saving judge scores:', error);
         res.status(500).json({
             success: false,
-            message: 'Error submitting work',
+            message: 'Error saving judge scores',
             error: error.message
         });
     }
@@ -8,14 +8,41 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const { User, Portfolio, Work } = require('../models');
 const { isAuthenticated, isAdmin } = require('./auth');
+const { PERMISSIONS, ROLES, CLUSTER_CATEGORIES, requirePermission } = require('../middleware/permissions');
+const { notifyApproval } = require('../services/notifications');
+const { escapeRegex } = require('../services/search');
+const {
+    retentionDays,
+    trashAccount,
+    restoreAccount,
+    listTrashedWorks,
+    listTrashedAccounts,
+    purgeExpiredTrash,
+    getLastPurge
+} = require('../services/trash');
+
+function sendTrashError(res, error, message) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: error.message
+    });
+}
 
 // Get All Users (Admin only)
 router.get('/', isAuthenticated, isAdmin, async (req, res) => {
     try {
         const { userType, cluster, isApproved, search, limit = 50, skip = 0 } = req.query;
 
-        // Build query
-        const query = {};
+        // Build query (accounts in the trash are listed under /trash)
+        const query = { deletedAt: null };
         
         if (userType && userType !== 'all') {
             query.userType = userType;
@@ -31,8 +58,8 @@ router.get('/', isAuthenticated, isAdmin, async (req, res) => {
         
         if (search) {
             query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
+                { name: { $regex: escapeRegex(search), $options: 'i' } },
+                { email: { $regex: escapeRegex(search), $options: 'i' } }
             ];
         }
 
@@ -61,12 +88,180 @@ router.get('/', isAuthenticated, isAdmin, async (req, res) => {
     }
 });
 
+// Admin: Role catalogue and everyone currently holding a role
+router.get('/roles', isAuthenticated, requirePermission('roles.assign'), async (req, res) => {
+    try {
+        const users = await User.find({ 'roles.0': { $exists: true } })
+            .select('name email userType cluster position roles')
+            .populate('roles.assignedBy', 'name')
+            .sort('name');
+
+        res.json({
+            success: true,
+            roles: ROLES,
+            permissions: PERMISSIONS,
+            clusters: Object.keys(CLUSTER_CATEGORIES),
+            users
+        });
+
+    } catch (error) {
+        console.error('Error fetching roles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching roles',
+            error: error.message
+        });
+    }
+});
+
+// Admin: Assign Role ({ role, cluster } - omit cluster for site-wide)
+router.post('/:id/roles', isAuthenticated, requirePermission('roles.assign'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const cluster = req.body.cluster || null;
+
+        if (!ROLES[role]) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${Object.keys(ROLES).join(', ')}`
+            });
+        }
+
+        if (cluster && !CLUSTER_CATEGORIES[cluster]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cluster'
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.userType !== 'member' || !user.isApproved) {
+            return res.status(400).json({
+                success: false,
+                message: 'Roles can only be given to approved members'
+            });
+        }
+
+        if (user.roles.some(r => r.role === role && (r.cluster || null) === cluster)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already has this role'
+            });
+        }
+
+        user.roles.push({ role, cluster, assignedBy: req.session.userId });
+        await user.save();
+
+        console.log('🛡️ Role assigned:', role, cluster || 'site-wide', 'to', user._id, 'by', req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Role assigned successfully',
+            user
+        });
+
+    } catch (error) {
+        console.error('Error assigning role:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error assigning role',
+            error: error.message
+        });
+    }
+});
+
+// Admin: Revoke Role (?cluster=Photography for a cluster-scoped assignment)
+router.delete('/:id/roles/:role', isAuthenticated, requirePermission('roles.assign'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const cluster = req.query.cluster || null;
+        const remaining = user.roles.filter(r => !(r.role === req.params.role && (r.cluster || null) === cluster));
+
+        if (remaining.length === user.roles.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'User does not have this role'
+            });
+        }
+
+        user.roles = remaining;
+        await user.save();
+
+        console.log('🛡️ Role revoked:', req.params.role, cluster || 'site-wide', 'from', user._id, 'by', req.session.userId);
+
+        res.json({
+            success: true,
+            message: 'Role revoked successfully',
+            user
+        });
+
+    } catch (error) {
+        console.error('Error revoking role:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking role',
+            error: error.message
+        });
+    }
+});
+
+// Trash (Admin only): accounts and works waiting to be purged
+router.get('/trash', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const [accounts, works] = await Promise.all([
+            listTrashedAccounts(),
+            listTrashedWorks()
+        ]);
+
+        res.json({
+            success: true,
+            accounts,
+            works,
+            retentionDays: retentionDays(),
+            lastPurge: getLastPurge()
+        });
+
+    } catch (error) {
+        sendTrashError(res, error, 'Error fetching trash');
+    }
+});
+
+// Purge Expired Trash now (Admin only); also runs on a schedule
+router.post('/trash/purge', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const report = await purgeExpiredTrash();
+
+        res.json({
+            success: true,
+            message: `Purged ${report.worksPurged} work(s) and ${report.accountsPurged} account(s)`,
+            report
+        });
+
+    } catch (error) {
+        sendTrashError(res, error, 'Error purging trash');
+    }
+});
+
 // Get User by ID
 router.get('/:id', async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-__v');
 
-        if (!user) {
+        if (!user || user.deletedAt) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -77,7 +272,11 @@ router.get('/:id', async (req, res) => {
         let portfolio = null;
         if (user.userType === 'member') {
             portfolio = await Portfolio.findOne({ userId: user._id })
-                .populate('works', 'title category voteCount featured');
+                .populate({
+                    path: 'works',
+                    select: 'title category voteCount featured',
+                    match: { hiddenAt: null, deletedAt: null }
+                });
         }
 
         res.json({
@@ -114,7 +313,7 @@ router.get('/profile/me', isAuthenticated, async (req, res) => {
         
         if (user.userType === 'member') {
             portfolio = await Portfolio.findOne({ userId: user._id });
-            works = await Work.find({ userId: user._id })
+            works = await Work.find({ userId: user._id, deletedAt: null })
                 .sort('-createdAt')
                 .limit(10);
         }
@@ -179,35 +378,32 @@ router.put('/profile/me', isAuthenticated, async (req, res) => {
     }
 });
 
-// Delete User Account
+// Delete User Account: moves it to the trash; logging back in before the
+// purge date restores it
 router.delete('/profile/me', isAuthenticated, async (req, res) => {
     try {
-        const userId = req.session.userId;
-
-        // Delete user's portfolio
-        await Portfolio.deleteOne({ userId });
+        const user = await User.findById(req.session.userId);
 
-        // Delete user's works
-        await Work.deleteMany({ userId });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
 
-        // Delete user
-        await User.findByIdAndDelete(userId);
+        const purgeAt = await trashAccount(user, user._id);
 
         // Destroy session
         req.session.destroy();
 
         res.json({
             success: true,
-            message: 'Account deleted successfully'
+            message: `Account scheduled for deletion on ${purgeAt.toDateString()}. Log in before then to keep it.`,
+            purgeAt
         });
 
     } catch (error) {
-        console.error('Error deleting account:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error deleting account',
-            error: error.message
-        });
+        sendTrashError(res, error, 'Error deleting account');
     }
 });
 
@@ -231,9 +427,16 @@ router.put('/:id', isAuthenticated, isAdmin, async (req, res) => {
         if (batchName !== undefined) user.batchName = batchName;
         if (cluster !== undefined) user.cluster = cluster;
         if (position !== undefined) user.position = position;
-        if (isApproved !== undefined) user.isApproved = isApproved;
+        // Approval changes go through the history like /api/auth/approve does
+        const approvalChanged = isApproved !== undefined && Boolean(isApproved) !== user.isApproved;
+        if (approvalChanged) {
+            user.recordApproval(isApproved ? 'approved' : 'revoked', req.session.userId);
+        }
 
         await user.save();
+        if (approvalChanged) {
+            await notifyApproval(user, req.session.userId);
+        }
 
         res.json({
             success: true,
@@ -263,35 +466,49 @@ router.delete('/:id', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
-        // Don't allow deleting admin users
-        if (user.userType === 'admin') {
-            return res.status(403).json({
+        // Moves the account to the trash (admin accounts are refused). Only
+        // an admin can restore it; logging in doesn't
+        const purgeAt = await trashAccount(user, req.session.userId);
+
+        res.json({
+            success: true,
+            message: `User moved to trash. It can be restored until ${purgeAt.toDateString()}.`,
+            purgeAt
+        });
+
+    } catch (error) {
+        sendTrashError(res, error, 'Error deleting user');
+    }
+});
+
+// Admin: Restore a User from the Trash
+router.post('/:id/restore', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Cannot delete admin users'
+                message: 'Invalid user ID format'
             });
         }
 
-        // Delete user's portfolio
-        await Portfolio.deleteOne({ userId: user._id });
+        const user = await User.findById(req.params.id);
 
-        // Delete user's works
-        await Work.deleteMany({ userId: user._id });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
 
-        // Delete user
-        await User.findByIdAndDelete(req.params.id);
+        await restoreAccount(user);
 
         res.json({
             success: true,
-            message: 'User deleted successfully'
+            message: `${user.name}'s account was restored`
         });
 
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error deleting user',
-            error: error.message
-        });
+        sendTrashError(res, error, 'Error restoring user');
     }
 });
 
@@ -301,7 +518,7 @@ router.get('/stats/overview', async (req, res) => {
         const totalUsers = await User.countDocuments();
         const totalMembers = await User.countDocuments({ userType: 'member', isApproved: true });
         const totalGuests = await User.countDocuments({ userType: 'guest' });
-        const pendingApprovals = await User.countDocuments({ userType: 'member', isApproved: false });
+        const pendingApprovals = await User.countDocuments({ userType: 'member', isApproved: false, rejectedAt: { $exists: false } });
 
         // Get cluster distribution
         const photographyCount = await User.countDocuments({ cluster: 'Photography' });
@@ -309,7 +526,7 @@ router.get('/stats/overview', async (req, res) => {
         const videographyCount = await User.countDocuments({ cluster: 'Videography' });
 
         // Get recent members
-        const recentMembers = await User.find({ userType: 'member', isApproved: true })
+        const recentMembers = await User.find({ userType: 'member', isApproved: true, deletedAt: null })
             .sort('-createdAt')
             .limit(5)
             .select('name email cluster batchName createdAt');
@@ -0,0 +1,37 @@
+/**
+ * Vanity URL Routes
+ * Short, shareable portfolio links: /p/<slug> opens the portfolio page.
+ * Previous slugs answer with a 301 to the current /p/<slug>.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { findBySlug } = require('../services/portfolioSlugs');
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://lentexhibit-1.onrender.com').replace(/\/$/, '');
+
+// Open a Portfolio by Slug
+router.get('/:slug', async (req, res) => {
+    try {
+        const found = await findBySlug(req.params.slug);
+        if (!found) {
+            return res.redirect(302, `${FRONTEND_URL}/portfolio.html`);
+        }
+
+        if (found.moved) {
+            return res.redirect(301, `${req.baseUrl}/${found.portfolio.slug}`);
+        }
+
+        res.redirect(302, `${FRONTEND_URL}/portfolio_detail.html?slug=${encodeURIComponent(found.portfolio.slug)}`);
+
+    } catch (error) {
+        console.error('Error opening portfolio link:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error opening portfolio',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
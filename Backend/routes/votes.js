@@ -6,15 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { Vote, Work, Portfolio } = require('../models');
-const { isAuthenticated } = require('./auth');
+const { Vote, Work, User, Theme } = require('../models');
+const { isAuthenticated, isAdmin } = require('./auth');
+const { checkVotingRules, castVote, removeVote, reconcileVoteCounts, getLastReconciliation } = require('../services/votes');
+const { notifyVote } = require('../services/notifications');
+const { publishVote } = require('../services/live');
 
 // Vote for a Work
 router.post('/', isAuthenticated, async (req, res) => {
     try {
-        const { workId, themeId } = req.body;
+        // themeId is taken from the work, never from the client
+        const { workId } = req.body;
 
-        if (!workId) {
+        if (!workId || !mongoose.Types.ObjectId.isValid(workId)) {
             return res.status(400).json({
                 success: false,
                 message: 'Work ID is required'
@@ -22,54 +26,56 @@ router.post('/', isAuthenticated, async (req, res) => {
         }
 
         // Check if work exists
-        const work = await Work.findById(workId);
-        if (!work) {
+        const work = await Work.findById(workId).select('userId themeId title hiddenAt deletedAt');
+        if (!work || work.hiddenAt || work.deletedAt) {
             return res.status(404).json({
                 success: false,
                 message: 'Work not found'
             });
         }
 
-        // Check if user has already voted for this work
-        const existingVote = await Vote.findOne({
-            userId: req.session.userId,
-            workId: workId
-        });
+        const user = await User.findById(req.session.userId);
+        const theme = work.themeId ? await Theme.findById(work.themeId) : null;
 
-        if (existingVote) {
-            return res.status(400).json({
+        const violation = await checkVotingRules({ user, work, theme });
+        if (violation) {
+            return res.status(violation.status).json({
                 success: false,
-                message: 'You have already voted for this work'
+                message: violation.message
             });
         }
 
-        // Create new vote
-        const newVote = new Vote({
-            userId: req.session.userId,
-            workId: workId,
-            themeId: themeId || null
+        // The vote and both counters are written together; the unique
+        // (userId, workId) index rejects a second vote
+        const { voteCount } = await castVote({
+            userId: user._id,
+            workId: work._id,
+            themeId: theme?._id,
+            maxVotes: theme?.voting?.maxVotesPerUser
         });
 
-        await newVote.save();
-
-        // Update work vote count
-        work.voteCount = (work.voteCount || 0) + 1;
-        await work.save();
-
-        // Update portfolio total votes
-        const portfolio = await Portfolio.findOne({ userId: work.userId });
-        if (portfolio) {
-            portfolio.totalVotes = (portfolio.totalVotes || 0) + 1;
-            await portfolio.save();
-        }
+        await notifyVote(work, user._id);
+        await publishVote(work._id, voteCount);
 
         res.json({
             success: true,
             message: 'Vote recorded successfully',
-            voteCount: work.voteCount
+            voteCount
         });
 
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already voted for this work'
+            });
+        }
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error voting:', error);
         res.status(500).json({
             success: false,
@@ -84,36 +90,44 @@ router.delete('/:workId', isAuthenticated, async (req, res) => {
     try {
         const { workId } = req.params;
 
-        // Find and delete the vote
-        const vote = await Vote.findOneAndDelete({
+        if (!mongoose.Types.ObjectId.isValid(workId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID format'
+            });
+        }
+
+        // Theme votes are locked in once that theme's voting closes
+        const existingVote = await Vote.findOne({ userId: req.session.userId, workId });
+        if (existingVote && existingVote.themeId) {
+            const theme = await Theme.findById(existingVote.themeId);
+            const { end } = theme ? theme.votingWindow() : {};
+            if (end && new Date() > end) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Voting for "${theme.title}" has closed`
+                });
+            }
+        }
+
+        const result = await removeVote({
             userId: req.session.userId,
-            workId: workId
+            workId
         });
 
-        if (!vote) {
+        if (!result) {
             return res.status(404).json({
                 success: false,
                 message: 'Vote not found'
             });
         }
 
-        // Update work vote count
-        const work = await Work.findById(workId);
-        if (work) {
-            work.voteCount = Math.max((work.voteCount || 0) - 1, 0);
-            await work.save();
-
-            // Update portfolio total votes
-            const portfolio = await Portfolio.findOne({ userId: work.userId });
-            if (portfolio) {
-                portfolio.totalVotes = Math.max((portfolio.totalVotes || 0) - 1, 0);
-                await portfolio.save();
-            }
-
+        if (result.voteCount !== undefined) {
+            await publishVote(workId, result.voteCount);
             return res.json({
                 success: true,
                 message: 'Vote removed successfully',
-                voteCount: work.voteCount
+                voteCount: result.voteCount
             });
         }
 
@@ -132,6 +146,83 @@ router.delete('/:workId', isAuthenticated, async (req, res) => {
     }
 });
 
+// Get the current user's vote budget and voting window for a theme
+router.get('/budget/:themeId', isAuthenticated, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.themeId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid theme ID format'
+            });
+        }
+
+        const theme = await Theme.findById(req.params.themeId);
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                message: 'Theme not found'
+            });
+        }
+
+        const user = await User.findById(req.session.userId);
+        const used = await Vote.countDocuments({ userId: user._id, themeId: theme._id });
+        const max = theme.voting?.maxVotesPerUser || 0;
+        const { start, end } = theme.votingWindow();
+        const eligibleUserTypes = theme.voting?.eligibleUserTypes || [];
+
+        res.json({
+            success: true,
+            budget: {
+                used,
+                max: max || null,
+                remaining: max ? Math.max(max - used, 0) : null,
+                votingOpen: theme.isVotingOpen(),
+                opensAt: start,
+                closesAt: end,
+                eligible: eligibleUserTypes.length === 0 || eligibleUserTypes.includes(user.userType),
+                allowSelfVote: !!theme.voting?.allowSelfVote
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching vote budget:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching vote budget',
+            error: error.message
+        });
+    }
+});
+
+// Admin: Recompute vote counters from the Vote collection
+router.post('/reconcile', isAuthenticated, isAdmin, async (req, res) => {
+    try {
+        const report = await reconcileVoteCounts();
+
+        res.json({
+            success: true,
+            message: `Corrected ${report.worksCorrected.length} work(s) and ${report.portfoliosCorrected.length} portfolio(s)`,
+            report
+        });
+
+    } catch (error) {
+        console.error('Error reconciling votes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error reconciling vote counts',
+            error: error.message
+        });
+    }
+});
+
+// Admin: Last reconciliation report (scheduled or manual)
+router.get('/reconcile', isAuthenticated, isAdmin, (req, res) => {
+    res.json({
+        success: true,
+        report: getLastReconciliation()
+    });
+});
+
 // Check if User has Voted for a Work
 router.get('/check/:workId', isAuthenticated, async (req, res) => {
     try {
@@ -257,7 +348,7 @@ router.get('/stats/overview', async (req, res) => {
         const uniqueWorksVoted = await Vote.distinct('workId');
 
         // Get most voted work
-        const mostVotedWork = await Work.findOne()
+        const mostVotedWork = await Work.findOne({ hiddenAt: null, deletedAt: null })
             .sort('-voteCount')
             .populate('userId', 'name cluster');
 
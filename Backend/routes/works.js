@@ -6,8 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { Work, Portfolio, User } = require('../models');
-const { isAuthenticated, isAdmin } = require('./auth');
+const { Work, User, Theme } = require('../models');
+const { isAuthenticated, isApprovedMember } = require('./auth');
+const { requirePermission, hasPermission, clusterForCategory } = require('../middleware/permissions');
+const { UPLOAD_RULES, parseUpload, validateUpload, discardUpload } = require('../middleware/upload');
+const { buildKey, getStorage } = require('../services/storage');
+const { processWorkImage, removeDerivatives } = require('../services/images');
+const { processPhotoExif } = require('../services/exif');
+const { enqueueVideo, removeVideoOutputs } = require('../services/video');
+const { escapeRegex } = require('../services/search');
+const { slugify, parseTagInput, canonicalSlugs, resolveTags, updateTagUsage } = require('../services/tags');
+const { trashWork, restoreWork, deletedByOwner, listTrashedWorks, retentionDays } = require('../services/trash');
+const { addWorkToPortfolio } = require('../services/portfolios');
+const { canSeeHidden } = require('../services/moderation');
 
 // Get All Works (with filters)
 router.get('/', async (req, res) => {
@@ -18,13 +29,16 @@ router.get('/', async (req, res) => {
             search, 
             userId,
             themeId,
+            tag,
+            camera,
+            lens,
             limit = 50,
             skip = 0,
             sort = '-createdAt'
         } = req.query;
 
-        // Build query
-        const query = {};
+        // Build query (works hidden by moderators or in the trash are left out)
+        const query = { hiddenAt: null, deletedAt: null };
         
         if (category && category !== 'All') {
             query.category = category;
@@ -41,11 +55,28 @@ router.get('/', async (req, res) => {
         if (themeId) {
             query.themeId = themeId;
         }
+
+        // ?tag=portrait,street matches works carrying all of them
+        if (tag) {
+            const slugs = String(tag).split(',').map(slugify).filter(Boolean);
+            if (slugs.length > 0) {
+                query.tags = { $all: await canonicalSlugs(slugs) };
+            }
+        }
+
+        // EXIF filters match case-insensitively anywhere in the name
+        if (camera) {
+            query['exif.camera'] = { $regex: escapeRegex(camera), $options: 'i' };
+        }
+
+        if (lens) {
+            query['exif.lens'] = { $regex: escapeRegex(lens), $options: 'i' };
+        }
         
         if (search) {
             query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
+                { title: { $regex: escapeRegex(search), $options: 'i' } },
+                { description: { $regex: escapeRegex(search), $options: 'i' } }
             ];
         }
 
@@ -73,6 +104,52 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Get Camera and Lens Options (for EXIF filters)
+router.get('/exif/options', async (req, res) => {
+    try {
+        const [cameras, lenses] = await Promise.all([
+            Work.distinct('exif.camera', { category: 'Photos' }),
+            Work.distinct('exif.lens', { category: 'Photos' })
+        ]);
+
+        res.json({
+            success: true,
+            cameras: cameras.filter(Boolean).sort(),
+            lenses: lenses.filter(Boolean).sort()
+        });
+
+    } catch (error) {
+        console.error('Error fetching EXIF options:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching EXIF options',
+            error: error.message
+        });
+    }
+});
+
+// Get My Trash: works deleted in the last TRASH_RETENTION_DAYS days
+router.get('/trash', isAuthenticated, async (req, res) => {
+    try {
+        const works = await listTrashedWorks({ userId: req.session.userId });
+
+        res.json({
+            success: true,
+            works,
+            count: works.length,
+            retentionDays: retentionDays()
+        });
+
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching trash',
+            error: error.message
+        });
+    }
+});
+
 // Get Work by ID
 router.get('/:id', async (req, res) => {
     try {
@@ -86,9 +163,11 @@ router.get('/:id', async (req, res) => {
 
         const work = await Work.findById(req.params.id)
             .populate('userId', 'name email cluster position batchName')
-            .populate('themeId', 'title description startDate endDate');
+            .populate('themeId', 'title description startDate endDate status');
 
-        if (!work) {
+        // Hidden works stay visible to their owner and moderators only
+        if (!work || work.deletedAt || (work.hiddenAt &&
+            !await canSeeHidden(req.session.userId, work.userId?._id, clusterForCategory(work.category)))) {
             return res.status(404).json({
                 success: false,
                 message: 'Work not found'
@@ -110,13 +189,39 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// Get Rankings by Category
+// Get Rankings by Category (?themeId= follows that theme's contest results)
 router.get('/rankings/:category', async (req, res) => {
     try {
         const { category } = req.params;
-        const { limit = 10 } = req.query;
+        const { limit = 10, themeId } = req.query;
+
+        // Contest rankings follow the theme's computed results once they exist
+        if (themeId && mongoose.Types.ObjectId.isValid(themeId)) {
+            const theme = await Theme.findById(themeId)
+                .select('results')
+                .populate({
+                    path: 'results.standings.workId',
+                    populate: { path: 'userId', select: 'name email cluster' }
+                });
+
+            if (theme?.results?.computedAt) {
+                const standings = theme.results.standings
+                    .filter(s => s.workId && !s.workId.hiddenAt && !s.workId.deletedAt && (category === 'All' || s.workId.category === category))
+                    .slice(0, parseInt(limit));
+
+                return res.json({
+                    success: true,
+                    works: standings.map(s => s.workId),
+                    standings,
+                    mode: theme.results.mode
+                });
+            }
+        }
 
-        const query = category === 'All' ? {} : { category };
+        const query = category === 'All' ? { hiddenAt: null, deletedAt: null } : { category, hiddenAt: null, deletedAt: null };
+        if (themeId && mongoose.Types.ObjectId.isValid(themeId)) {
+            query.themeId = themeId;
+        }
 
         const works = await Work.find(query)
             .populate('userId', 'name email cluster')
@@ -139,14 +244,25 @@ router.get('/rankings/:category', async (req, res) => {
 });
 
 // Create Work (Members only)
-router.post('/', isAuthenticated, async (req, res) => {
+// Accepts either a multipart upload with a "file" field or a JSON fileUrl
+router.post('/', isAuthenticated, isApprovedMember, parseUpload, async (req, res) => {
     try {
         const { title, description, category, fileUrl, themeId } = req.body;
 
         console.log('Creating work for user:', req.session.userId);
 
+        let tags;
+        try {
+            tags = parseTagInput(req.body.tags || []);
+        } catch (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         // Validate required fields
-        if (!title || !description || !category || !fileUrl) {
+        if (!title || !description || !category || (!req.file && !fileUrl)) {
             return res.status(400).json({
                 success: false,
                 message: 'All fields are required'
@@ -170,6 +286,17 @@ router.post('/', isAuthenticated, async (req, res) => {
             });
         }
 
+        // Validate the uploaded file against the category rules
+        if (req.file) {
+            const uploadError = validateUpload(req.file, category);
+            if (uploadError) {
+                return res.status(400).json({
+                    success: false,
+                    message: uploadError
+                });
+            }
+        }
+
         // Create work
         const newWork = new Work({
             title,
@@ -177,33 +304,44 @@ router.post('/', isAuthenticated, async (req, res) => {
             category,
             fileUrl,
             userId: req.session.userId,
-            themeId: themeId || null
+            themeId: themeId || null,
+            tags: await resolveTags(tags, req.session.userId)
         });
 
+        // Store the uploaded file and point the work at it
+        if (req.file) {
+            // Read camera settings and strip GPS before the file goes public
+            if (category === 'Photos') {
+                newWork.exif = await processPhotoExif(req.file, {
+                    keepLocation: req.body.keepLocation === 'true'
+                });
+            }
+
+            const key = buildKey(category, req.session.userId, req.file.originalname);
+            const stored = await getStorage().save(req.file.path, key, req.file.mimetype);
+            newWork.fileUrl = stored.url;
+            newWork.fileKey = stored.key;
+            newWork.mimeType = req.file.mimetype;
+            newWork.fileSize = req.file.size;
+            await processWorkImage(newWork, req.file.path);
+
+            // Videos are transcoded in the background after the work is saved
+            if (category === 'Videos') {
+                newWork.video = { status: 'pending' };
+            }
+        }
+
         await newWork.save();
+        await updateTagUsage([], newWork.tags);
         console.log('Work created:', newWork._id);
 
-        // Add to user's portfolio
-        let portfolio = await Portfolio.findOne({ userId: req.session.userId });
-        if (!portfolio) {
-            console.log('Creating new portfolio for user:');
-            portfolio = new Portfolio({
-                userId: req.session.userId,
-                title: `${user.name}'s Portfolio`,
-                bio: '',
-                works: [newWork._id]
-            });
-            await portfolio.save();
-            console.log('Portfolio created:', portfolio._id);
-        } else {
-            // Add work to existing portfolio
-            if (!portfolio.works.includes(newWork._id)) {
-                portfolio.works.push(newWork._id);
-                await portfolio.save();
-                console.log('Work added to existing portfolio');
-            }
+        if (newWork.video?.status === 'pending') {
+            enqueueVideo(newWork._id);
         }
 
+        // Add to user's portfolio (created on the first upload)
+        const portfolio = await addWorkToPortfolio(user, newWork);
+
         // Populate before sending response
         await newWork.populate('userId', 'name email cluster');
 
@@ -221,10 +359,12 @@ router.post('/', isAuthenticated, async (req, res) => {
             message: 'Error creating work',
             error: error.message
         });
+    } finally {
+        await discardUpload(req.file);
     }
 });
 
-// Update Work (Owner or Admin)
+// Update Work (Owner or cluster moderator)
 router.put('/:id', isAuthenticated, async (req, res) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -236,19 +376,19 @@ router.put('/:id', isAuthenticated, async (req, res) => {
 
         const work = await Work.findById(req.params.id);
         
-        if (!work) {
+        if (!work || work.deletedAt) {
             return res.status(404).json({
                 success: false,
                 message: 'Work not found'
             });
         }
 
-        // Check if user is owner or admin
+        // Check if user is owner or moderates this work's cluster
         const user = await User.findById(req.session.userId);
         const isOwner = work.userId.toString() === req.session.userId;
-        const isAdminUser = user.userType === 'admin';
+        const canModerate = hasPermission(user, 'works.moderate', clusterForCategory(work.category));
 
-        if (!isOwner && !isAdminUser) {
+        if (!isOwner && !canModerate) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this work'
@@ -257,21 +397,78 @@ router.put('/:id', isAuthenticated, async (req, res) => {
 
         // Update fields
         const { title, description, category, fileUrl, featured } = req.body;
+
+        let tags;
+        if (req.body.tags !== undefined) {
+            try {
+                tags = parseTagInput(req.body.tags);
+            } catch (error) {
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        }
         
         if (title) work.title = title;
         if (description) work.description = description;
         if (category && ['Photos', 'Graphics', 'Videos'].includes(category)) {
+            // Moderators can't move a work out of reach into a cluster they don't moderate
+            if (!isOwner && !hasPermission(user, 'works.moderate', clusterForCategory(category))) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Not authorized to move works into ${category}`
+                });
+            }
+            // An uploaded file must still be valid for the new category
+            if (work.fileKey && !fileUrl && !UPLOAD_RULES[category].mimeTypes.includes(work.mimeType)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The uploaded file is not a valid ${category} file`
+                });
+            }
             work.category = category;
         }
-        if (fileUrl) work.fileUrl = fileUrl;
+
+        // Switching to an external URL releases the stored file
+        let releasedKey = null;
+        let releasedDerivatives = [];
+        let releasedVideo = null;
+        if (fileUrl && fileUrl !== work.fileUrl) {
+            releasedKey = work.fileKey;
+            releasedDerivatives = work.derivatives.map(d => ({ key: d.key }));
+            releasedVideo = work.video?.toObject();
+            work.fileUrl = fileUrl;
+            work.fileKey = undefined;
+            work.mimeType = undefined;
+            work.fileSize = undefined;
+            work.width = undefined;
+            work.height = undefined;
+            work.derivatives = [];
+            work.exif = undefined;
+            work.video = undefined;
+        }
         
-        // Only admin can set featured
-        if (isAdminUser && featured !== undefined) {
+        // Only admins and cluster curators/moderators can set featured
+        if (featured !== undefined && hasPermission(user, 'works.feature', clusterForCategory(work.category))) {
             work.featured = featured;
         }
 
+        const previousTags = [...work.tags];
+        if (tags) {
+            work.tags = await resolveTags(tags, req.session.userId);
+        }
+
         work.updatedAt = Date.now();
         await work.save();
+        await updateTagUsage(previousTags, work.tags);
+
+        if (releasedKey) {
+            getStorage().remove(releasedKey).catch(err => console.error('Error removing old file:', err));
+        }
+        removeDerivatives(releasedDerivatives);
+        removeVideoOutputs(releasedVideo);
+
         await work.populate('userId', 'name email cluster');
 
         res.json({
@@ -290,8 +487,8 @@ router.put('/:id', isAuthenticated, async (req, res) => {
     }
 });
 
-// Delete Work (Owner or Admin)
-router.delete('/:id', isAuthenticated, async (req, res) => {
+// Replace Work File (Owner or Admin)
+router.post('/:id/file', isAuthenticated, isApprovedMember, parseUpload, async (req, res) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             return res.status(400).json({
@@ -300,9 +497,16 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
             });
         }
 
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'A file is required'
+            });
+        }
+
         const work = await Work.findById(req.params.id);
-        
-        if (!work) {
+
+        if (!work || work.deletedAt) {
             return res.status(404).json({
                 success: false,
                 message: 'Work not found'
@@ -317,26 +521,179 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
         if (!isOwner && !isAdminUser) {
             return res.status(403).json({
                 success: false,
-                message: 'Not authorized to delete this work'
+                message: 'Not authorized to update this work'
             });
         }
 
-        // Remove from portfolio
-        await Portfolio.updateOne(
-            { userId: work.userId },
-            { $pull: { works: work._id } }
-        );
+        const uploadError = validateUpload(req.file, work.category);
+        if (uploadError) {
+            return res.status(400).json({
+                success: false,
+                message: uploadError
+            });
+        }
+
+        // Read camera settings and strip GPS before the file goes public
+        work.exif = work.category === 'Photos'
+            ? await processPhotoExif(req.file, { keepLocation: req.body.keepLocation === 'true' })
+            : undefined;
+
+        const storage = getStorage();
+        const previousKey = work.fileKey;
+        const key = buildKey(work.category, work.userId.toString(), req.file.originalname);
+        const stored = await storage.save(req.file.path, key, req.file.mimetype);
+
+        work.fileUrl = stored.url;
+        work.fileKey = stored.key;
+        work.mimeType = req.file.mimetype;
+        work.fileSize = req.file.size;
+        await processWorkImage(work, req.file.path);
+
+        const previousVideo = work.video?.toObject();
+        work.video = work.category === 'Videos' ? { status: 'pending' } : undefined;
+        await work.save();
+
+        // Old file and its renditions are no longer referenced
+        if (previousKey) {
+            storage.remove(previousKey).catch(err => console.error('Error removing old file:', err));
+        }
+        removeVideoOutputs(previousVideo);
 
-        await Work.findByIdAndDelete(req.params.id);
+        if (work.video?.status === 'pending') {
+            enqueueVideo(work._id);
+        }
 
-        console.log('Work deleted:', req.params.id);
+        await work.populate('userId', 'name email cluster');
 
         res.json({
             success: true,
-            message: 'Work deleted successfully'
+            message: 'Work file updated successfully',
+            work
         });
 
     } catch (error) {
+        console.error('Error replacing work file:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error replacing work file',
+            error: error.message
+        });
+    } finally {
+        await discardUpload(req.file);
+    }
+});
+
+// Retry Video Processing (Owner or Admin)
+router.post('/:id/video/retry', isAuthenticated, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID format'
+            });
+        }
+
+        const work = await Work.findById(req.params.id);
+
+        if (!work || work.deletedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Work not found'
+            });
+        }
+
+        // Check if user is owner or admin
+        const user = await User.findById(req.session.userId);
+        const isOwner = work.userId.toString() === req.session.userId;
+        const isAdminUser = user.userType === 'admin';
+
+        if (!isOwner && !isAdminUser) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this work'
+            });
+        }
+
+        if (work.category !== 'Videos' || !work.fileKey) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only uploaded videos can be processed'
+            });
+        }
+
+        if (work.video?.status !== 'failed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Video is not in a failed state'
+            });
+        }
+
+        work.video = { status: 'pending' };
+        await work.save();
+        enqueueVideo(work._id);
+
+        res.json({
+            success: true,
+            message: 'Video queued for processing',
+            video: work.video
+        });
+
+    } catch (error) {
+        console.error('Error retrying video processing:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error retrying video processing',
+            error: error.message
+        });
+    }
+});
+
+// Delete Work (Owner or cluster moderator)
+router.delete('/:id', isAuthenticated, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID format'
+            });
+        }
+
+        const work = await Work.findById(req.params.id);
+        
+        if (!work) {
+            return res.status(404).json({
+                success: false,
+                message: 'Work not found'
+            });
+        }
+
+        // Check if user is owner or moderates this work's cluster
+        const user = await User.findById(req.session.userId);
+        const isOwner = work.userId.toString() === req.session.userId;
+
+        if (!isOwner && !hasPermission(user, 'works.moderate', clusterForCategory(work.category))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this work'
+            });
+        }
+
+        // Deleting moves the work to the trash; the purge job removes it for good
+        const purgeAt = await trashWork(work, req.session.userId);
+
+        res.json({
+            success: true,
+            message: `Work moved to trash. It can be restored until ${purgeAt.toDateString()}.`,
+            purgeAt
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error deleting work:', error);
         res.status(500).json({
             success: false,
@@ -346,8 +703,8 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
     }
 });
 
-// Admin: Toggle Featured Status
-router.patch('/:id/featured', isAuthenticated, isAdmin, async (req, res) => {
+// Restore a Work from the Trash (cluster moderators, or the owner if they deleted it)
+router.post('/:id/restore', isAuthenticated, async (req, res) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             return res.status(400).json({
@@ -357,7 +714,7 @@ router.patch('/:id/featured', isAuthenticated, isAdmin, async (req, res) => {
         }
 
         const work = await Work.findById(req.params.id);
-        
+
         if (!work) {
             return res.status(404).json({
                 success: false,
@@ -365,6 +722,70 @@ router.patch('/:id/featured', isAuthenticated, isAdmin, async (req, res) => {
             });
         }
 
+        const user = await User.findById(req.session.userId);
+        const isOwner = work.userId.toString() === req.session.userId;
+
+        const isModerator = hasPermission(user, 'works.moderate', clusterForCategory(work.category));
+
+        if (!isModerator && !(isOwner && deletedByOwner(work))) {
+            return res.status(403).json({
+                success: false,
+                message: isOwner
+                    ? 'This work was removed by a moderator and can only be restored by one'
+                    : 'Not authorized to restore this work'
+            });
+        }
+
+        await restoreWork(work);
+
+        res.json({
+            success: true,
+            message: 'Work restored',
+            work
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error restoring work:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring work',
+            error: error.message
+        });
+    }
+});
+
+// Toggle Featured Status (admins and cluster curators/moderators)
+router.patch('/:id/featured', isAuthenticated, requirePermission('works.feature'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid work ID format'
+            });
+        }
+
+        const work = await Work.findById(req.params.id);
+        
+        if (!work || work.deletedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Work not found'
+            });
+        }
+
+        if (!hasPermission(req.user, 'works.feature', clusterForCategory(work.category))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only feature works in your own cluster'
+            });
+        }
+
         work.featured = !work.featured;
         await work.save();
 
@@ -4,8 +4,12 @@
  */
 
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
+// Shared password for every seeded account (override with SEED_PASSWORD)
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'lentexhibit123';
+
 // Import models
 const { User, Work, Portfolio, Theme, Vote } = require('../models');
 
@@ -32,7 +36,8 @@ const sampleUsers = [
         batchName: 'Burger',
         cluster: 'Photography',
         position: 'Photography Cluster Head',
-        isApproved: true
+        isApproved: true,
+        roles: [{ role: 'moderator', cluster: 'Photography' }]
     },
     {
         name: 'Maria Santos',
@@ -41,7 +46,8 @@ const sampleUsers = [
         batchName: 'Sushi',
         cluster: 'Graphics',
         position: 'Graphics Cluster Head',
-        isApproved: true
+        isApproved: true,
+        roles: [{ role: 'moderator', cluster: 'Graphics' }]
     },
     {
         name: 'Jose Reyes',
@@ -50,7 +56,8 @@ const sampleUsers = [
         batchName: 'Mochi',
         cluster: 'Videography',
         position: 'Videography Cluster Head',
-        isApproved: true
+        isApproved: true,
+        roles: [{ role: 'moderator', cluster: 'Videography' }]
     },
     {
         name: 'Pending Member',
@@ -110,7 +117,12 @@ async function seedDatabase() {
 
         // Create users
         console.log('👥 Creating users...');
-        const createdUsers = await User.insertMany(sampleUsers);
+        const passwordHash = await bcrypt.hash(SEED_PASSWORD, 10);
+        const createdUsers = await User.insertMany(sampleUsers.map(user => ({
+            ...user,
+            passwordHash,
+            passwordChangedAt: new Date()
+        })));
         console.log(`✅ Created ${createdUsers.length} users`);
 
         // Get admin and member users
@@ -220,10 +232,11 @@ async function seedDatabase() {
             { label: 'Guest', email: 'guest@example.com' }
         ];
 
-        console.log('\n🔑 Login Credentials (email-only login via POST /auth/login { email }):');
+        console.log('\n🔑 Login Credentials (POST /auth/login { email, password }):');
         credentials.forEach((cred, index) => {
             console.log(`   ${index + 1}. ${cred.label}: ${cred.email}`);
         });
+        console.log(`   Password for all accounts: ${SEED_PASSWORD}`);
 
     } catch (error) {
         console.error('❌ Error seeding database:', error);
@@ -15,8 +15,24 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const workRoutes = require('./routes/works');
 const portfolioRoutes = require('./routes/portfolios');
+const collectionRoutes = require('./routes/collections');
 const themeRoutes = require('./routes/themes');
 const voteRoutes = require('./routes/votes');
+const commentRoutes = require('./routes/comments');
+const notificationRoutes = require('./routes/notifications');
+const liveRoutes = require('./routes/live');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const reportRoutes = require('./routes/reports');
+const integrityRoutes = require('./routes/integrity');
+const analyticsRoutes = require('./routes/analytics');
+const vanityRoutes = require('./routes/vanity');
+const { UPLOAD_DIR } = require('./services/storage');
+const { resumePendingVideos } = require('./services/video');
+const { scheduleVoteReconciliation } = require('./services/votes');
+const { startThemeScheduler } = require('./services/themeLifecycle');
+const { scheduleNotificationDigests } = require('./services/notifications');
+const { scheduleTrashPurge } = require('./services/trash');
 // Removed accidental React import â€” backend shouldn't require React
 
 const app = express();
@@ -52,17 +68,39 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb+srv://lentexhibit_db:lentex
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+    console.log('MongoDB connected successfully');
+    resumePendingVideos().catch(err => console.error('Error resuming video jobs:', err));
+    scheduleVoteReconciliation();
+    startThemeScheduler().catch(err => console.error('Error starting theme scheduler:', err));
+    scheduleNotificationDigests();
+    scheduleTrashPurge();
+})
 .catch(err => console.error('MongoDB connection error:', err)
 )
 
+// Serve uploaded files when using local disk storage
+if ((process.env.STORAGE_DRIVER || 'local').toLowerCase() === 'local') {
+    app.use('/uploads', express.static(UPLOAD_DIR, { maxAge: '7d' }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/works/:id/comments', commentRoutes);
 app.use('/api/works', workRoutes);
+app.use('/api/portfolios/:id/collections', collectionRoutes);
 app.use('/api/portfolios', portfolioRoutes);
 app.use('/api/themes', themeRoutes);
 app.use('/api/votes', voteRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/integrity', integrityRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/p', vanityRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
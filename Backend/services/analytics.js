@@ -0,0 +1,268 @@
+/**
+ * Analytics Service
+ * Activity over time for the admin dashboard: signups, uploads, votes and
+ * active voters (distinct members voting) per day, week or month, computed
+ * with aggregation pipelines.
+ *
+ * Series can be broken down by cluster or category. Clusters and categories
+ * pair up (Photography/Photos, ...): signups use the member's cluster, works
+ * and votes the category of the work. Accounts and works in the trash still
+ * count; purged ones are gone. Buckets are in UTC and weeks start on Monday
+ * ($dateTrunc, MongoDB 5.0+).
+ */
+
+const { User, Work, Vote } = require('../models');
+const { CLUSTER_CATEGORIES, clusterForCategory } = require('../middleware/permissions');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const GROUP_BYS = ['none', 'cluster', 'category'];
+
+// Default range for each granularity, counted back from today
+const DEFAULT_SPANS = { day: 30, week: 12, month: 12 };
+
+// Longest series we'll build, to keep the charts (and pipelines) sane
+const MAX_BUCKETS = 400;
+
+// Group for members without a cluster or votes on missing works
+const OTHER = 'Other';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function analyticsError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Start of the bucket holding date, matching $dateTrunc in UTC
+function bucketStart(date, granularity) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (granularity === 'week') {
+        // getUTCDay: Sunday 0 ... Saturday 6; weeks start on Monday
+        start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    } else if (granularity === 'month') {
+        start.setUTCDate(1);
+    }
+    return start;
+}
+
+function nextBucket(date, granularity) {
+    const next = new Date(date);
+    if (granularity === 'day') next.setUTCDate(next.getUTCDate() + 1);
+    if (granularity === 'week') next.setUTCDate(next.getUTCDate() + 7);
+    if (granularity === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    return next;
+}
+
+// 'YYYY-MM-DD' means the whole day, so an end date is exclusive of the next
+function parseDate(value, { end = false } = {}) {
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    if (end && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Validate query options into { from, to, granularity, groupBy, buckets }.
+ * `to` is exclusive. Throws status 400 on bad input.
+ */
+function resolveOptions({ from, to, granularity = 'day', groupBy = 'none' } = {}) {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw analyticsError(400, `granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    if (!GROUP_BYS.includes(groupBy)) {
+        throw analyticsError(400, `groupBy must be one of: ${GROUP_BYS.join(', ')}`);
+    }
+
+    const end = to ? parseDate(to, { end: true }) : nextBucket(bucketStart(new Date(), 'day'), 'day');
+    if (!end) {
+        throw analyticsError(400, 'to must be a date');
+    }
+
+    let start;
+    if (from) {
+        start = parseDate(from);
+        if (!start) {
+            throw analyticsError(400, 'from must be a date');
+        }
+    } else {
+        start = bucketStart(new Date(end.getTime() - DAY_MS), granularity);
+        for (let i = 1; i < DEFAULT_SPANS[granularity]; i++) {
+            start = bucketStart(new Date(start.getTime() - DAY_MS), granularity);
+        }
+    }
+    if (start >= end) {
+        throw analyticsError(400, 'from must be before to');
+    }
+
+    const buckets = [];
+    for (let bucket = bucketStart(start, granularity); bucket < end; bucket = nextBucket(bucket, granularity)) {
+        buckets.push(bucket);
+        if (buckets.length > MAX_BUCKETS) {
+            throw analyticsError(400, `That range has more than ${MAX_BUCKETS} ${granularity}s; pick a shorter range or a coarser granularity`);
+        }
+    }
+
+    return { from: start, to: end, granularity, groupBy, buckets };
+}
+
+function bucketExpression(granularity) {
+    const trunc = { date: '$createdAt', unit: granularity };
+    if (granularity === 'week') trunc.startOfWeek = 'monday';
+    return { $dateTrunc: trunc };
+}
+
+// Group label for a member's cluster or a work's category
+function clusterGroup(cluster, groupBy) {
+    if (!cluster) return OTHER;
+    return groupBy === 'category' ? CLUSTER_CATEGORIES[cluster] || OTHER : cluster;
+}
+
+function categoryGroup(category, groupBy) {
+    if (!category) return OTHER;
+    return groupBy === 'cluster' ? clusterForCategory(category) || OTHER : category;
+}
+
+/**
+ * Lay aggregation rows ({ _id: { bucket, group }, count }) out as arrays
+ * aligned with the buckets: { total: [...], groups: { Photography: [...] } }.
+ * groups is only there when groupOf maps row groups to labels.
+ */
+function toSeries(rows, buckets, groupOf) {
+    const index = new Map(buckets.map((bucket, i) => [bucket.getTime(), i]));
+    const series = { total: buckets.map(() => 0) };
+    const groups = {};
+
+    for (const row of rows) {
+        const i = index.get(new Date(row._id.bucket).getTime());
+        if (i === undefined) continue;
+
+        if (groupOf) {
+            const group = groupOf(row._id.group);
+            groups[group] = groups[group] || buckets.map(() => 0);
+            groups[group][i] += row.count;
+        }
+        series.total[i] += row.count;
+    }
+
+    if (groupOf) series.groups = groups;
+    return series;
+}
+
+async function signupRows({ from, to, granularity }) {
+    return User.aggregate([
+        { $match: { createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: { bucket: bucketExpression(granularity), group: '$cluster' }, count: { $sum: 1 } } }
+    ]);
+}
+
+async function uploadRows({ from, to, granularity }) {
+    return Work.aggregate([
+        { $match: { createdAt: { $gte: from, $lt: to } } },
+        { $group: { _id: { bucket: bucketExpression(granularity), group: '$category' }, count: { $sum: 1 } } }
+    ]);
+}
+
+// Votes and active voters in one pass over the range's votes
+async function voteRows({ from, to, granularity, groupBy }) {
+    const facets = {
+        votes: [
+            { $group: { _id: { bucket: '$bucket', group: '$category' }, count: { $sum: 1 } } }
+        ],
+        // A member counts once per bucket however many works they voted on
+        voters: [
+            { $group: { _id: { bucket: '$bucket', userId: '$userId' } } },
+            { $group: { _id: { bucket: '$_id.bucket' }, count: { $sum: 1 } } }
+        ],
+        totalVoters: [
+            { $group: { _id: '$userId' } },
+            { $count: 'count' }
+        ]
+    };
+    if (groupBy !== 'none') {
+        facets.votersByGroup = [
+            { $group: { _id: { bucket: '$bucket', group: '$category', userId: '$userId' } } },
+            { $group: { _id: { bucket: '$_id.bucket', group: '$_id.group' }, count: { $sum: 1 } } }
+        ];
+    }
+
+    const [result] = await Vote.aggregate([
+        { $match: { createdAt: { $gte: from, $lt: to } } },
+        {
+            $lookup: {
+                from: 'works',
+                localField: 'workId',
+                foreignField: '_id',
+                pipeline: [{ $project: { category: 1 } }],
+                as: 'work'
+            }
+        },
+        {
+            $project: {
+                userId: 1,
+                bucket: bucketExpression(granularity),
+                category: { $first: '$work.category' }
+            }
+        },
+        { $facet: facets }
+    ]);
+    return result;
+}
+
+/**
+ * Activity series for the admin dashboard. Options are the query string:
+ * from, to (dates; default the last 30 days / 12 weeks / 12 months),
+ * granularity (day|week|month) and groupBy (none|cluster|category).
+ */
+async function activitySeries(query = {}) {
+    const options = resolveOptions(query);
+    const { buckets, groupBy } = options;
+    const grouped = groupBy !== 'none';
+
+    const [signups, uploads, votes] = await Promise.all([
+        signupRows(options),
+        uploadRows(options),
+        voteRows(options)
+    ]);
+
+    const byCluster = grouped ? group => clusterGroup(group, groupBy) : null;
+    const byCategory = grouped ? group => categoryGroup(group, groupBy) : null;
+
+    // Voters can vote in several groups, so the total has its own facet
+    const activeVoters = toSeries(votes.voters, buckets, null);
+    if (grouped) {
+        activeVoters.groups = toSeries(votes.votersByGroup, buckets, byCategory).groups;
+    }
+
+    const series = {
+        signups: toSeries(signups, buckets, byCluster),
+        uploads: toSeries(uploads, buckets, byCategory),
+        votes: toSeries(votes.votes, buckets, byCategory),
+        activeVoters
+    };
+
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    return {
+        from: options.from,
+        to: options.to,
+        granularity: options.granularity,
+        groupBy,
+        buckets,
+        series,
+        totals: {
+            signups: sum(series.signups.total),
+            uploads: sum(series.uploads.total),
+            votes: sum(series.votes.total),
+            activeVoters: votes.totalVoters[0]?.count || 0
+        }
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    GROUP_BYS,
+    activitySeries
+};
@@ -0,0 +1,139 @@
+/**
+ * Awards Service
+ * Turns a theme's computed standings into awards: first, second and third
+ * place plus honorable mentions for the next scoring.honorableMentions works.
+ * Ties share a place (two works ranked 1st both take first). Works without
+ * a single vote or point don't place.
+ *
+ * An admin can override the awards to settle ties; overridden awards are
+ * kept when the results are recomputed until the override is cleared.
+ *
+ * Awards are stored on Theme.awards and copied to Work.awards so badges can
+ * be shown on works and portfolios without looking up every theme.
+ */
+
+const { Theme, Work } = require('../models');
+
+const PODIUM = { 1: 'first', 2: 'second', 3: 'third' };
+const PLACES = ['first', 'second', 'third', 'honorable'];
+
+// [{ workId, place, rank }] from standings sorted best-first
+function awardsFromStandings(standings, honorableMentions = 3) {
+    const placed = standings.filter(s => s.score > 0);
+    const podium = placed.filter(s => PODIUM[s.rank]);
+    const rest = placed.filter(s => !PODIUM[s.rank]);
+
+    // Works tied with the last honorable mention get one too
+    const cutoff = honorableMentions > 0 ? rest[Math.min(honorableMentions, rest.length) - 1]?.rank : null;
+    const honorable = cutoff ? rest.filter(s => s.rank <= cutoff) : [];
+
+    return [
+        ...podium.map(s => ({ workId: s.workId, place: PODIUM[s.rank], rank: s.rank })),
+        ...honorable.map(s => ({ workId: s.workId, place: 'honorable', rank: s.rank }))
+    ];
+}
+
+// Podium places held by more than one work: [{ place, workIds }]
+function findTies(awards) {
+    const byPlace = new Map();
+    awards.filter(a => a.place !== 'honorable').forEach(award => {
+        const key = award.place;
+        if (!byPlace.has(key)) byPlace.set(key, []);
+        byPlace.get(key).push(award.workId._id || award.workId);
+    });
+    return [...byPlace]
+        .filter(([, workIds]) => workIds.length > 1)
+        .map(([place, workIds]) => ({ place, workIds }));
+}
+
+// Store awards on the theme and mirror them onto the works
+async function saveAwards(theme, awards) {
+    const works = await Work.find({ _id: { $in: awards.map(a => a.workId) } }).select('userId');
+    const ownerByWork = new Map(works.map(work => [work._id.toString(), work.userId]));
+    const awardedAt = new Date();
+
+    theme.awards = awards
+        .filter(award => ownerByWork.has(award.workId.toString()))
+        .map(award => ({ ...award, userId: ownerByWork.get(award.workId.toString()) }));
+    theme.awardsDecidedAt = awardedAt;
+    await theme.save();
+
+    await Work.updateMany({ 'awards.themeId': theme._id }, { $pull: { awards: { themeId: theme._id } } });
+    if (theme.awards.length > 0) {
+        await Work.bulkWrite(theme.awards.map(award => ({
+            updateOne: {
+                filter: { _id: award.workId },
+                update: { $push: { awards: { themeId: theme._id, themeTitle: theme.title, place: award.place, awardedAt } } }
+            }
+        })));
+    }
+    return theme;
+}
+
+/**
+ * Award a theme from its computed results. Does nothing while an admin
+ * override is in place unless force is set. Resolves to the theme.
+ */
+async function assignAwards(theme, { force = false } = {}) {
+    if (!theme.results?.computedAt) return theme;
+    if (theme.awardsOverriddenAt && !force) return theme;
+
+    const awards = awardsFromStandings(theme.results.standings, theme.scoring?.honorableMentions ?? 3);
+    theme.awardsOverriddenBy = undefined;
+    theme.awardsOverriddenAt = undefined;
+    await saveAwards(theme, awards);
+
+    const ties = findTies(theme.awards);
+    console.log(`🏆 Awards decided for "${theme.title}" (${theme.awards.length} works${ties.length ? `, ${ties.length} tie(s)` : ''})`);
+    return theme;
+}
+
+/**
+ * Replace a theme's awards by hand, e.g. to break a tie.
+ * placements: [{ workId, place }]; every work must be a submission.
+ * Throws an error with status 400 for an invalid placement.
+ */
+async function overrideAwards(theme, placements, adminId) {
+    const submitted = new Set(theme.submissions.map(id => id.toString()));
+    const rankByWork = new Map((theme.results?.standings || []).map(s => [s.workId.toString(), s.rank]));
+    const seen = new Set();
+
+    const awards = (placements || []).map(({ workId, place }) => {
+        const id = String(workId);
+        if (!submitted.has(id) || seen.has(id) || !PLACES.includes(place)) {
+            const error = new Error(`Each award needs a different work submitted to this theme and a place (${PLACES.join(', ')})`);
+            error.status = 400;
+            throw error;
+        }
+        seen.add(id);
+        return { workId: id, place, rank: rankByWork.get(id) };
+    });
+
+    theme.awardsOverriddenBy = adminId;
+    theme.awardsOverriddenAt = new Date();
+    await saveAwards(theme, awards);
+    console.log(`🏆 Awards for "${theme.title}" overridden by ${adminId}`);
+    return theme;
+}
+
+// Award ended themes that have results but no awards yet
+async function awardEndedThemes() {
+    const themes = await Theme.find({
+        status: 'Ended',
+        'results.computedAt': { $exists: true },
+        awardsDecidedAt: { $exists: false }
+    });
+    for (const theme of themes) {
+        await assignAwards(theme);
+    }
+    return themes.map(theme => theme._id);
+}
+
+module.exports = {
+    PLACES,
+    awardsFromStandings,
+    findTies,
+    assignAwards,
+    overrideAwards,
+    awardEndedThemes
+};
@@ -0,0 +1,36 @@
+/**
+ * Comment Service
+ * Soft deletion of comments, shared by the comment routes and moderators
+ * removing reported comments.
+ */
+
+const { Comment, Work } = require('../models');
+
+/**
+ * Soft-delete a comment and keep the reply and comment counters in step.
+ * Only the first delete counts, so the counters can't go negative.
+ * Resolves to true if this call deleted it.
+ */
+async function softDeleteComment(comment, userId, deletedAs) {
+    const { modifiedCount } = await Comment.updateOne(
+        { _id: comment._id, deletedAt: { $exists: false } },
+        { $set: { deletedAt: new Date(), deletedBy: userId, deletedAs } }
+    );
+    if (!modifiedCount) return false;
+
+    if (comment.parentId) {
+        await Comment.updateOne(
+            { _id: comment.parentId, replyCount: { $gt: 0 } },
+            { $inc: { replyCount: -1 } }
+        );
+    }
+    await Work.updateOne(
+        { _id: comment.workId, commentCount: { $gt: 0 } },
+        { $inc: { commentCount: -1 } }
+    );
+    return true;
+}
+
+module.exports = {
+    softDeleteComment
+};
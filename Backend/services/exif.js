@@ -0,0 +1,181 @@
+/**
+ * EXIF Service
+ * Reads camera settings from uploaded photos and removes GPS coordinates
+ * from the original file before it is stored.
+ */
+
+const fs = require('fs');
+const exifr = require('exifr');
+const sharp = require('sharp');
+
+// Byte size of each TIFF field type (BYTE, ASCII, SHORT, LONG, RATIONAL, ...)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const GPS_IFD_POINTER = 0x8825;
+
+function clean(value) {
+    if (value === undefined || value === null) return undefined;
+    const text = String(value).replace(/\0/g, '').trim();
+    return text || undefined;
+}
+
+function toNumber(value) {
+    const number = Array.isArray(value) ? Number(value[0]) : Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+}
+
+// 0.004 -> "1/250", 2.5 -> "2.5s"
+function formatShutterSpeed(seconds) {
+    if (!seconds) return undefined;
+    if (seconds >= 1) return `${Math.round(seconds * 10) / 10}s`;
+    return `1/${Math.round(1 / seconds)}`;
+}
+
+// Map raw exifr output to the fields stored on Work.exif
+function normalizeExif(raw, { keepLocation = false } = {}) {
+    if (!raw) return null;
+
+    const make = clean(raw.Make);
+    const model = clean(raw.Model);
+    // Most models already start with the make ("Canon EOS R6"), some don't ("NIKON" / "Z 6")
+    const camera = make && model && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())
+        ? `${make} ${model}`
+        : (model || make);
+
+    const exposureTime = toNumber(raw.ExposureTime);
+    const exif = {
+        make,
+        model,
+        camera,
+        lens: clean(raw.LensModel) || clean(raw.Lens),
+        focalLength: toNumber(raw.FocalLength),
+        aperture: toNumber(raw.FNumber),
+        exposureTime,
+        shutterSpeed: formatShutterSpeed(exposureTime),
+        iso: toNumber(raw.ISO) || toNumber(raw.ISOSpeedRatings),
+        takenAt: raw.DateTimeOriginal instanceof Date && !isNaN(raw.DateTimeOriginal)
+            ? raw.DateTimeOriginal
+            : undefined
+    };
+
+    if (keepLocation && Number.isFinite(raw.latitude) && Number.isFinite(raw.longitude)) {
+        exif.location = { latitude: raw.latitude, longitude: raw.longitude };
+    }
+
+    const hasData = Object.values(exif).some(value => value !== undefined);
+    return hasData ? exif : null;
+}
+
+// Blank out the GPS IFD inside a TIFF structure. Returns true if one was found.
+function scrubGpsIfd(buffer, tiffStart, end) {
+    const little = buffer.toString('ascii', tiffStart, tiffStart + 2) === 'II';
+    const u16 = offset => little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const u32 = offset => little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const ifd0 = tiffStart + u32(tiffStart + 4);
+    const entryCount = u16(ifd0);
+
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (u16(entry) !== GPS_IFD_POINTER) continue;
+
+        const gpsIfd = tiffStart + u32(entry + 8);
+        const gpsCount = u16(gpsIfd);
+
+        for (let j = 0; j < gpsCount; j++) {
+            const gpsEntry = gpsIfd + 2 + j * 12;
+            const size = (TIFF_TYPE_SIZES[u16(gpsEntry + 2)] || 1) * u32(gpsEntry + 4);
+            // Values over 4 bytes live elsewhere in the segment
+            if (size > 4) {
+                const valueOffset = tiffStart + u32(gpsEntry + 8);
+                buffer.fill(0, valueOffset, Math.min(valueOffset + size, end));
+            }
+            buffer.fill(0, gpsEntry, gpsEntry + 12);
+        }
+
+        // An empty IFD is still valid, so the pointer can stay in place
+        if (little) {
+            buffer.writeUInt16LE(0, gpsIfd);
+        } else {
+            buffer.writeUInt16BE(0, gpsIfd);
+        }
+        return true;
+    }
+
+    return false;
+}
+
+// Lossless GPS removal for JPEGs: edits the APP1 Exif segment in place
+function scrubJpegGps(buffer) {
+    if (buffer.readUInt16BE(0) !== 0xFFD8) return false;
+
+    let offset = 2;
+    let scrubbed = false;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        // Metadata segments all come before the image data
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xE1 && buffer.toString('binary', offset + 4, offset + 10) === 'Exif\0\0') {
+            scrubbed = scrubGpsIfd(buffer, offset + 10, offset + 2 + length) || scrubbed;
+        }
+        offset += 2 + length;
+    }
+    return scrubbed;
+}
+
+// Rewrite the file without GPS data. JPEGs are patched losslessly; other
+// formats are re-encoded at high quality without any EXIF block.
+async function stripLocation(filePath, mimeType) {
+    if (mimeType === 'image/jpeg') {
+        try {
+            const buffer = await fs.promises.readFile(filePath);
+            if (scrubJpegGps(buffer)) {
+                await fs.promises.writeFile(filePath, buffer);
+                return;
+            }
+        } catch (error) {
+            console.error('Lossless GPS removal failed, re-encoding instead:', error.message);
+        }
+    }
+
+    const image = sharp(filePath, { failOn: 'none' }).rotate().keepIccProfile();
+    const { format } = await image.metadata();
+    const options = format === 'png' ? {} : { quality: 95 };
+    const data = await image.toFormat(format, options).toBuffer();
+    await fs.promises.writeFile(filePath, data);
+}
+
+/**
+ * Read EXIF from an uploaded photo and strip its GPS position unless the
+ * member chose to keep it. Resolves to the normalized exif object or null.
+ */
+async function processPhotoExif(file, { keepLocation = false } = {}) {
+    let raw = null;
+    try {
+        raw = await exifr.parse(file.path, {
+            tiff: true,
+            exif: true,
+            gps: true,
+            interop: false,
+            ifd1: false
+        });
+    } catch (error) {
+        console.error('Error reading EXIF:', error.message);
+    }
+
+    const hasLocation = raw && Number.isFinite(raw.latitude) && Number.isFinite(raw.longitude);
+    if (hasLocation && !keepLocation) {
+        await stripLocation(file.path, file.mimetype);
+        const { size } = await fs.promises.stat(file.path);
+        file.size = size;
+    }
+
+    return normalizeExif(raw, { keepLocation });
+}
+
+module.exports = {
+    normalizeExif,
+    scrubJpegGps,
+    processPhotoExif
+};
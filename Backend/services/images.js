@@ -0,0 +1,111 @@
+/**
+ * Image Service
+ * Generates resized WebP/JPEG derivatives of uploaded Photos and Graphics
+ * so gallery cards don't have to load full-size originals.
+ */
+
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Target widths for each derivative size (images are never upscaled)
+const DERIVATIVE_SIZES = {
+    thumbnail: 320,
+    medium: 960,
+    large: 1920
+};
+
+const DERIVATIVE_FORMATS = {
+    webp: { mimeType: 'image/webp', options: { quality: 80 } },
+    jpeg: { mimeType: 'image/jpeg', options: { quality: 82, mozjpeg: true } }
+};
+
+// Categories that get image derivatives
+const IMAGE_CATEGORIES = ['Photos', 'Graphics'];
+
+// Derivative keys sit next to the original: "photos/<user>/123-ab.jpg" -> "photos/<user>/123-ab_medium.webp"
+function derivativeKey(originalKey, size, format) {
+    const base = originalKey.replace(/\.[^./]+$/, '');
+    return `${base}_${size}.${format === 'jpeg' ? 'jpg' : format}`;
+}
+
+/**
+ * Resize the source image into every size/format combination and store them.
+ * Resolves to { width, height, derivatives } where width/height describe the original.
+ */
+async function generateDerivatives(sourcePath, originalKey) {
+    const storage = getStorage();
+
+    // Auto-orient from EXIF; sharp drops the remaining metadata on output
+    const source = sharp(sourcePath, { failOn: 'none' }).rotate();
+    const metadata = await source.metadata();
+
+    // Orientations 5-8 swap width and height
+    const swapped = metadata.orientation >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+
+    const derivatives = [];
+    for (const [size, targetWidth] of Object.entries(DERIVATIVE_SIZES)) {
+        for (const [format, { mimeType, options }] of Object.entries(DERIVATIVE_FORMATS)) {
+            const { data, info } = await source
+                .clone()
+                .resize({ width: targetWidth, withoutEnlargement: true })
+                .toFormat(format, options)
+                .toBuffer({ resolveWithObject: true });
+
+            const stored = await storage.saveBuffer(data, derivativeKey(originalKey, size, format), mimeType);
+            derivatives.push({
+                size,
+                format,
+                width: info.width,
+                height: info.height,
+                url: stored.url,
+                key: stored.key
+            });
+        }
+    }
+
+    return { width, height, derivatives };
+}
+
+// Delete stored derivative files (used when a work's file is replaced or removed)
+async function removeDerivatives(derivatives = []) {
+    const storage = getStorage();
+    await Promise.all(derivatives.map(d => storage.remove(d.key).catch(err => {
+        console.error('Error removing derivative:', d.key, err);
+    })));
+}
+
+/**
+ * Refresh a work's derivatives from a freshly uploaded file.
+ * Failures are logged and leave the work without derivatives rather than
+ * failing the upload; the UI falls back to the original file.
+ */
+async function processWorkImage(work, sourcePath) {
+    const previous = (work.derivatives || []).map(d => ({ key: d.key }));
+    work.derivatives = [];
+    work.width = undefined;
+    work.height = undefined;
+
+    if (IMAGE_CATEGORIES.includes(work.category) && work.fileKey) {
+        try {
+            const result = await generateDerivatives(sourcePath, work.fileKey);
+            work.width = result.width;
+            work.height = result.height;
+            work.derivatives = result.derivatives;
+        } catch (error) {
+            console.error('Error generating image derivatives:', error);
+        }
+    }
+
+    // Keys are unique per upload, so the old files are never reused
+    await removeDerivatives(previous);
+}
+
+module.exports = {
+    DERIVATIVE_SIZES,
+    IMAGE_CATEGORIES,
+    generateDerivatives,
+    removeDerivatives,
+    processWorkImage
+};
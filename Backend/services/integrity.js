@@ -0,0 +1,275 @@
+/**
+ * Integrity Service
+ * Finds references to documents that no longer exist (left behind by older
+ * deletes or interrupted cascades) and, when asked, repairs them:
+ *
+ *   - votes, ballots and judge scores on missing works, themes or users
+ *   - theme submissions, portfolio works, pins and collections pointing at
+ *     missing works (or, for portfolios, at someone else's works)
+ *   - works and awards tied to missing themes
+ *   - works, portfolios and comments whose owner or work is gone
+ *   - works missing from their owner's portfolio
+ *
+ * Repairs go through the same services as normal deletes, and finish with a
+ * vote counter reconciliation (services/votes.js).
+ */
+
+const mongoose = require('mongoose');
+const { User, Work, Portfolio, Theme, Vote, Ballot, JudgeScore, Comment } = require('../models');
+const { deleteWork } = require('./works');
+const { deletePortfolio } = require('./portfolios');
+const { reconcileVoteCounts } = require('./votes');
+
+// Ids in a sample of each issue, for the admin report
+const SAMPLE_SIZE = 10;
+
+// Most recent report, for the admin endpoint
+let lastReport = null;
+
+// Values of field that don't exist in Target
+async function missingRefs(Model, field, Target) {
+    const ids = (await Model.distinct(field)).filter(id => id instanceof mongoose.Types.ObjectId);
+    if (ids.length === 0) return [];
+    const existing = await Target.find({ _id: { $in: ids } }).distinct('_id');
+    const found = new Set(existing.map(String));
+    return ids.filter(id => !found.has(String(id)));
+}
+
+/**
+ * Each check finds dangling ids (or aggregation rows) and knows how to
+ * repair them. `count` is the number of documents affected.
+ */
+const CHECKS = [
+    {
+        key: 'votes.work',
+        label: 'Votes on works that no longer exist',
+        find: () => missingRefs(Vote, 'workId', Work),
+        count: ids => Vote.countDocuments({ workId: { $in: ids } }),
+        repair: ids => Vote.deleteMany({ workId: { $in: ids } })
+    },
+    {
+        key: 'votes.user',
+        label: 'Votes cast by accounts that no longer exist',
+        find: () => missingRefs(Vote, 'userId', User),
+        count: ids => Vote.countDocuments({ userId: { $in: ids } }),
+        repair: ids => Vote.deleteMany({ userId: { $in: ids } })
+    },
+    {
+        key: 'votes.theme',
+        label: 'Votes tied to deleted themes',
+        find: () => missingRefs(Vote, 'themeId', Theme),
+        count: ids => Vote.countDocuments({ themeId: { $in: ids } }),
+        repair: ids => Vote.updateMany({ themeId: { $in: ids } }, { $set: { themeId: null } })
+    },
+    {
+        key: 'themes.submissions',
+        label: 'Theme submissions of works that no longer exist',
+        find: () => missingRefs(Theme, 'submissions', Work),
+        count: ids => Theme.countDocuments({ submissions: { $in: ids } }),
+        repair: ids => Theme.updateMany({ submissions: { $in: ids } }, { $pull: { submissions: { $in: ids } } })
+    },
+    {
+        key: 'works.theme',
+        label: 'Works submitted to deleted themes',
+        find: () => missingRefs(Work, 'themeId', Theme),
+        count: ids => Work.countDocuments({ themeId: { $in: ids } }),
+        repair: ids => Work.updateMany({ themeId: { $in: ids } }, { $unset: { themeId: '' } })
+    },
+    {
+        key: 'works.awards',
+        label: 'Work awards from deleted themes',
+        find: () => missingRefs(Work, 'awards.themeId', Theme),
+        count: ids => Work.countDocuments({ 'awards.themeId': { $in: ids } }),
+        repair: ids => Work.updateMany({ 'awards.themeId': { $in: ids } }, { $pull: { awards: { themeId: { $in: ids } } } })
+    },
+    {
+        key: 'works.owner',
+        label: 'Works whose owner no longer exists',
+        find: () => missingRefs(Work, 'userId', User),
+        count: ids => Work.countDocuments({ userId: { $in: ids } }),
+        repair: async ids => {
+            const works = await Work.find({ userId: { $in: ids } });
+            for (const work of works) {
+                await deleteWork(work);
+            }
+        }
+    },
+    {
+        key: 'portfolios.owner',
+        label: 'Portfolios whose owner no longer exists',
+        find: () => missingRefs(Portfolio, 'userId', User),
+        count: ids => Portfolio.countDocuments({ userId: { $in: ids } }),
+        repair: async ids => {
+            const portfolios = await Portfolio.find({ userId: { $in: ids } });
+            for (const portfolio of portfolios) {
+                await deletePortfolio(portfolio);
+            }
+        }
+    },
+    {
+        key: 'portfolios.works',
+        label: 'Portfolio works, pins and collection entries that no longer exist',
+        find: async () => {
+            const ids = [
+                ...await missingRefs(Portfolio, 'works', Work),
+                ...await missingRefs(Portfolio, 'pinnedWorks', Work),
+                ...await missingRefs(Portfolio, 'collections.works', Work),
+                ...await missingRefs(Portfolio, 'collections.coverWorkId', Work)
+            ];
+            return [...new Map(ids.map(id => [String(id), id])).values()];
+        },
+        count: ids => Portfolio.countDocuments({
+            $or: [
+                { works: { $in: ids } },
+                { pinnedWorks: { $in: ids } },
+                { 'collections.works': { $in: ids } },
+                { 'collections.coverWorkId': { $in: ids } }
+            ]
+        }),
+        repair: async ids => {
+            await Portfolio.updateMany(
+                { $or: [{ works: { $in: ids } }, { pinnedWorks: { $in: ids } }] },
+                { $pull: { works: { $in: ids }, pinnedWorks: { $in: ids } } }
+            );
+            await Portfolio.updateMany(
+                { 'collections.works': { $in: ids } },
+                { $pull: { 'collections.$[].works': { $in: ids } } }
+            );
+            await Portfolio.updateMany(
+                { 'collections.coverWorkId': { $in: ids } },
+                { $set: { 'collections.$[cover].coverWorkId': null } },
+                { arrayFilters: [{ 'cover.coverWorkId': { $in: ids } }] }
+            );
+        }
+    },
+    {
+        key: 'portfolios.foreignWorks',
+        label: 'Portfolios listing works that belong to someone else',
+        find: () => Portfolio.aggregate([
+            { $unwind: '$works' },
+            { $lookup: { from: 'works', localField: 'works', foreignField: '_id', as: 'work' } },
+            { $unwind: '$work' },
+            { $match: { $expr: { $ne: ['$work.userId', '$userId'] } } },
+            { $group: { _id: '$_id', works: { $push: '$works' } } }
+        ]),
+        count: rows => rows.length,
+        repair: async rows => {
+            for (const row of rows) {
+                await Portfolio.updateOne(
+                    { _id: row._id },
+                    { $pull: { works: { $in: row.works }, pinnedWorks: { $in: row.works } } }
+                );
+            }
+        }
+    },
+    {
+        key: 'portfolios.missingWorks',
+        label: 'Works missing from their owner\'s portfolio',
+        find: () => Work.aggregate([
+            { $match: { deletedAt: null } },
+            { $lookup: { from: 'portfolios', localField: 'userId', foreignField: 'userId', as: 'portfolio' } },
+            { $unwind: '$portfolio' },
+            { $match: { $expr: { $not: [{ $in: ['$_id', { $ifNull: ['$portfolio.works', []] }] }] } } },
+            { $project: { _id: 1, userId: 1 } }
+        ]),
+        count: rows => rows.length,
+        repair: async rows => {
+            for (const row of rows) {
+                await Portfolio.updateOne({ userId: row.userId }, { $addToSet: { works: row._id } });
+            }
+        }
+    },
+    {
+        key: 'ballots.theme',
+        label: 'Ballots for deleted themes',
+        find: () => missingRefs(Ballot, 'themeId', Theme),
+        count: ids => Ballot.countDocuments({ themeId: { $in: ids } }),
+        repair: ids => Ballot.deleteMany({ themeId: { $in: ids } })
+    },
+    {
+        key: 'ballots.user',
+        label: 'Ballots cast by accounts that no longer exist',
+        find: () => missingRefs(Ballot, 'userId', User),
+        count: ids => Ballot.countDocuments({ userId: { $in: ids } }),
+        repair: ids => Ballot.deleteMany({ userId: { $in: ids } })
+    },
+    {
+        key: 'ballots.rankings',
+        label: 'Ballot rankings of works that no longer exist',
+        find: () => missingRefs(Ballot, 'rankings', Work),
+        count: ids => Ballot.countDocuments({ rankings: { $in: ids } }),
+        repair: ids => Ballot.updateMany({ rankings: { $in: ids } }, { $pull: { rankings: { $in: ids } } })
+    },
+    {
+        key: 'judgeScores.work',
+        label: 'Judge scores for works or themes that no longer exist',
+        find: async () => [
+            ...await missingRefs(JudgeScore, 'workId', Work),
+            ...await missingRefs(JudgeScore, 'themeId', Theme)
+        ],
+        count: ids => JudgeScore.countDocuments({ $or: [{ workId: { $in: ids } }, { themeId: { $in: ids } }] }),
+        repair: ids => JudgeScore.deleteMany({ $or: [{ workId: { $in: ids } }, { themeId: { $in: ids } }] })
+    },
+    {
+        key: 'comments.work',
+        label: 'Comments on works that no longer exist',
+        find: () => missingRefs(Comment, 'workId', Work),
+        count: ids => Comment.countDocuments({ workId: { $in: ids } }),
+        repair: ids => Comment.deleteMany({ workId: { $in: ids } })
+    }
+];
+
+// Ids or aggregation rows (with _id) as strings
+function sample(found) {
+    return found.slice(0, SAMPLE_SIZE).map(item => String(item._id || item));
+}
+
+/**
+ * Run every check; with repair, fix what was found. Resolves to a report
+ * listing each check with the number of affected documents and a sample.
+ */
+async function checkIntegrity({ repair = false } = {}) {
+    const startedAt = new Date();
+    const issues = [];
+
+    // One check at a time; repairs of one can clear up the next
+    for (const check of CHECKS) {
+        const found = await check.find();
+        const count = found.length ? await check.count(found) : 0;
+        if (count && repair) {
+            await check.repair(found);
+        }
+        issues.push({
+            key: check.key,
+            label: check.label,
+            count,
+            sample: sample(found),
+            repaired: Boolean(count && repair)
+        });
+    }
+
+    const total = issues.reduce((sum, issue) => sum + issue.count, 0);
+    const reconciliation = repair && total ? await reconcileVoteCounts() : null;
+
+    const report = {
+        startedAt,
+        finishedAt: new Date(),
+        repair,
+        total,
+        issues,
+        reconciliation
+    };
+
+    lastReport = report;
+    console.log(`🧩 Integrity ${repair ? 'repair' : 'check'} found ${total} problem(s)`);
+    return report;
+}
+
+function getLastIntegrityReport() {
+    return lastReport;
+}
+
+module.exports = {
+    checkIntegrity,
+    getLastIntegrityReport
+};
@@ -0,0 +1,216 @@
+/**
+ * Live Updates
+ * Pushes vote counts and leaderboards to browsers over Server-Sent Events.
+ *
+ * A client subscribes to one channel: a theme ('theme:<id>') or a category
+ * ('category:Photos', ..., 'category:All'). It gets a 'leaderboard' snapshot
+ * straight away, a 'vote' event whenever a work on the channel gains or
+ * loses a vote, and a fresh 'leaderboard' once the burst of votes settles.
+ * Every connect starts with a snapshot, so a client that reconnects has
+ * nothing to replay.
+ *
+ * Theme leaderboards follow public votes only for 'popular' themes. Ranked,
+ * judged and blend themes follow their stored results once they're in;
+ * until then the leaderboard is marked basis 'publicVotes' so clients can
+ * say it isn't the theme's scoring.
+ *
+ * Subscribers are held in this process. When several instances run, each
+ * pushes the votes it handled itself and refreshes its channels' leaderboards
+ * every LIVE_REFRESH_SECONDS (default 30) to pick up everyone else's.
+ */
+
+const { Theme, Work } = require('../models');
+
+const LEADERBOARD_SIZE = 10;
+// Wait this long after a vote before re-sending the leaderboard
+const LEADERBOARD_DEBOUNCE_MS = 1000;
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_MS = 25 * 1000;
+// How soon browsers retry after the connection drops
+const RETRY_MS = 5000;
+
+const channels = new Map();
+const pendingLeaderboards = new Map();
+let eventId = 0;
+let heartbeatTimer = null;
+let refreshTimer = null;
+
+const themeChannel = (themeId) => `theme:${themeId}`;
+const categoryChannel = (category) => `category:${category}`;
+
+function write(res, event, data) {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A scored theme's top works in the order of its stored results
+async function resultsLeaderboard(theme) {
+    const standings = theme.results.standings.slice(0, LEADERBOARD_SIZE);
+    const works = await Work.find({ _id: { $in: standings.map(s => s.workId) }, hiddenAt: null, deletedAt: null })
+        .select('title category voteCount userId themeId createdAt')
+        .populate('userId', 'name')
+        .lean();
+    const byId = new Map(works.map(work => [work._id.toString(), work]));
+
+    return standings
+        .map(standing => {
+            const work = byId.get(String(standing.workId));
+            return work && { ...work, rank: standing.rank, score: standing.score };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Top works on a channel, shaped like GET /works/rankings. basis says what
+ * orders them: 'votes' (categories and popular themes), 'results' (a scored
+ * theme's stored results) or 'publicVotes' (a scored theme without results yet).
+ */
+async function leaderboard(channel) {
+    const [kind, key] = channel.split(':');
+    let basis = 'votes';
+
+    if (kind === 'theme') {
+        const theme = await Theme.findById(key).select('scoring.mode results.computedAt results.standings').lean();
+        if (theme && (theme.scoring?.mode || 'popular') !== 'popular') {
+            if (theme.results?.computedAt) {
+                return { channel, basis: 'results', works: await resultsLeaderboard(theme), updatedAt: new Date() };
+            }
+            basis = 'publicVotes';
+        }
+    }
+
+    const query = kind === 'theme'
+        ? { themeId: key, hiddenAt: null, deletedAt: null }
+        : key === 'All' ? { hiddenAt: null, deletedAt: null } : { category: key, hiddenAt: null, deletedAt: null };
+
+    const works = await Work.find(query)
+        .select('title category voteCount userId themeId createdAt')
+        .populate('userId', 'name')
+        .sort({ voteCount: -1, createdAt: -1 })
+        .limit(LEADERBOARD_SIZE)
+        .lean();
+
+    return { channel, basis, works, updatedAt: new Date() };
+}
+
+async function sendLeaderboard(channel) {
+    const clients = channels.get(channel);
+    if (!clients || clients.size === 0) return;
+
+    try {
+        const data = await leaderboard(channel);
+        for (const res of clients) write(res, 'leaderboard', data);
+    } catch (error) {
+        console.error(`Error refreshing live leaderboard ${channel}:`, error);
+    }
+}
+
+// Coalesce a burst of votes into one leaderboard per channel
+function queueLeaderboard(channel) {
+    if (pendingLeaderboards.has(channel)) return;
+
+    const timer = setTimeout(() => {
+        pendingLeaderboards.delete(channel);
+        sendLeaderboard(channel);
+    }, LEADERBOARD_DEBOUNCE_MS);
+    timer.unref();
+    pendingLeaderboards.set(channel, timer);
+}
+
+function startTimers() {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(() => {
+        for (const clients of channels.values()) {
+            for (const res of clients) res.write(': ping\n\n');
+        }
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref();
+
+    const seconds = parseFloat(process.env.LIVE_REFRESH_SECONDS ?? '30');
+    if (seconds > 0) {
+        refreshTimer = setInterval(() => {
+            for (const channel of channels.keys()) queueLeaderboard(channel);
+        }, seconds * 1000);
+        refreshTimer.unref();
+    }
+}
+
+function stopTimers() {
+    clearInterval(heartbeatTimer);
+    clearInterval(refreshTimer);
+    heartbeatTimer = null;
+    refreshTimer = null;
+}
+
+/**
+ * Turn the response into an event stream on the channel. The subscription
+ * ends when the client disconnects.
+ */
+async function subscribe(req, res, channel) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(res);
+    startTimers();
+
+    req.on('close', () => {
+        const clients = channels.get(channel);
+        if (!clients) return;
+        clients.delete(res);
+        if (clients.size === 0) channels.delete(channel);
+        if (channels.size === 0) stopTimers();
+    });
+
+    try {
+        write(res, 'leaderboard', await leaderboard(channel));
+    } catch (error) {
+        console.error(`Error loading live leaderboard ${channel}:`, error);
+    }
+}
+
+/**
+ * Tell subscribers that a work's vote count changed. Never throws; a vote
+ * that was recorded shouldn't fail because nobody could be told about it.
+ */
+async function publishVote(workId, voteCount) {
+    if (channels.size === 0) return;
+
+    try {
+        const work = await Work.findById(workId).select('themeId category voteCount').lean();
+        if (!work) return;
+
+        const targets = [categoryChannel(work.category), categoryChannel('All')];
+        if (work.themeId) targets.push(themeChannel(work.themeId));
+
+        const data = {
+            workId: work._id,
+            themeId: work.themeId || null,
+            category: work.category,
+            voteCount: voteCount ?? work.voteCount
+        };
+
+        for (const channel of targets) {
+            const clients = channels.get(channel);
+            if (!clients) continue;
+            for (const res of clients) write(res, 'vote', data);
+            queueLeaderboard(channel);
+        }
+    } catch (error) {
+        console.error(`Error publishing live vote for ${workId}:`, error);
+    }
+}
+
+module.exports = {
+    themeChannel,
+    categoryChannel,
+    subscribe,
+    publishVote
+};
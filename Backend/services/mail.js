@@ -0,0 +1,92 @@
+/**
+ * Mail Service
+ * Pluggable outgoing mail.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   - file (default): each message is written as an .eml file under MAIL_DIR,
+ *     handy for development without a mail server
+ *   - smtp: sent through SMTP_HOST/SMTP_PORT (optionally SMTP_USER/SMTP_PASS,
+ *     SMTP_SECURE=true); point it at MailHog or Mailpit for a local stand-in
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'LenteXhibit <no-reply@lentexhibit.local>';
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail'));
+
+function createSmtpTransport() {
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+}
+
+// Renders the message with nodemailer, then saves it instead of sending
+function createFileTransport() {
+    const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    return {
+        async sendMail(message) {
+            const info = await renderer.sendMail(message);
+            await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+            const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+            const file = path.join(MAIL_DIR, `${Date.now()}-${recipient}.eml`);
+            await fs.promises.writeFile(file, info.message);
+            console.log('📧 Mail written to', file);
+            return info;
+        }
+    };
+}
+
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        const name = (process.env.MAIL_TRANSPORT || 'file').toLowerCase();
+        if (name === 'smtp') {
+            transport = createSmtpTransport();
+        } else if (name === 'file') {
+            transport = createFileTransport();
+        } else {
+            throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+        }
+    }
+    return transport;
+}
+
+// Escape user-supplied text (names, titles) for an html body
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send an email through the configured transport. Anything user-supplied in
+ * html must go through escapeHtml.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+async function sendMail({ to, subject, text, html }) {
+    return getTransport().sendMail({
+        from: MAIL_FROM,
+        to,
+        subject,
+        text,
+        html
+    });
+}
+
+module.exports = {
+    sendMail,
+    escapeHtml
+};
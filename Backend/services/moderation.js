@@ -0,0 +1,291 @@
+/**
+ * Moderation Service
+ * Member reports on works, comments and portfolios, and what moderators do
+ * about them.
+ *
+ * Reports on the same item are reviewed together. A moderator can:
+ *   - dismiss: leave the content up
+ *   - hide:    take it out of view without deleting anything (a hidden work
+ *              keeps its votes but drops out of listings, rankings and theme
+ *              submissions); hidden content can be restored
+ *   - remove:  delete a work, soft-delete a comment, or clear a portfolio's
+ *              title, bio and links
+ * Reporters hear back once their report is reviewed, and owners are told
+ * when their content is hidden, removed or restored.
+ */
+
+const mongoose = require('mongoose');
+const { Report, Work, Comment, Portfolio, User, REPORT_TARGETS, REPORT_REASONS } = require('../models');
+const { clusterForCategory, hasPermission } = require('../middleware/permissions');
+const { notify, notifyUsers } = require('./notifications');
+const { deleteWork } = require('./works');
+const { softDeleteComment } = require('./comments');
+
+const ACTIONS = ['dismiss', 'hide', 'remove', 'restore'];
+
+const TARGET_LABELS = {
+    work: 'work',
+    comment: 'comment',
+    portfolio: 'portfolio'
+};
+
+function moderationError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Load a reportable item. Resolves to { doc, ownerId, cluster, title, link }
+ * or null when it doesn't exist.
+ */
+async function loadTarget(targetType, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+    if (targetType === 'work') {
+        const work = await Work.findById(targetId);
+        return work && {
+            doc: work,
+            ownerId: work.userId,
+            cluster: clusterForCategory(work.category),
+            title: work.title,
+            link: `work.html?id=${work._id}`
+        };
+    }
+
+    if (targetType === 'comment') {
+        const comment = await Comment.findById(targetId);
+        const work = comment && await Work.findById(comment.workId).select('title category');
+        return comment && {
+            doc: comment,
+            ownerId: comment.userId,
+            cluster: work ? clusterForCategory(work.category) : null,
+            title: `Comment on "${work ? work.title : 'a deleted work'}"`,
+            link: `work.html?id=${comment.workId}`
+        };
+    }
+
+    if (targetType === 'portfolio') {
+        const portfolio = await Portfolio.findById(targetId).populate('userId', 'name cluster');
+        return portfolio && {
+            doc: portfolio,
+            ownerId: portfolio.userId._id,
+            cluster: portfolio.userId.cluster || null,
+            title: portfolio.title || `${portfolio.userId.name}'s Portfolio`,
+            link: `portfolio_detail.html?id=${portfolio._id}`
+        };
+    }
+    return null;
+}
+
+// Hidden content stays visible to its owner and to moderators who review its cluster
+async function canSeeHidden(viewerId, ownerId, cluster) {
+    if (!viewerId) return false;
+    if (ownerId && String(ownerId) === String(viewerId)) return true;
+    const viewer = await User.findById(viewerId).select('userType roles');
+    return hasPermission(viewer, 'reports.review', cluster);
+}
+
+/**
+ * File a report. Throws status 400 for bad input or reporting your own
+ * content, 404 for a missing item and 409 if the member already has an
+ * open report on it.
+ */
+async function createReport({ targetType, targetId, reason, details }, reporterId) {
+    if (!REPORT_TARGETS.includes(targetType)) {
+        throw moderationError(400, `You can report a ${REPORT_TARGETS.join(', ')}`);
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+        throw moderationError(400, `Reason must be one of: ${REPORT_REASONS.join(', ')}`);
+    }
+    if (reason === 'other' && !String(details || '').trim()) {
+        throw moderationError(400, 'Please describe the problem');
+    }
+
+    const target = await loadTarget(targetType, targetId);
+    if (!target || target.doc.deletedAt) {
+        throw moderationError(404, `That ${TARGET_LABELS[targetType]} no longer exists`);
+    }
+    if (String(target.ownerId) === String(reporterId)) {
+        throw moderationError(400, 'You cannot report your own content');
+    }
+
+    try {
+        return await Report.create({
+            targetType,
+            targetId: target.doc._id,
+            targetTitle: target.title,
+            ownerId: target.ownerId,
+            cluster: target.cluster,
+            link: target.link,
+            reporterId,
+            reason,
+            details
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw moderationError(409, `You already reported this ${TARGET_LABELS[targetType]}; moderators will review it`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * The moderation queue: reports grouped by item, oldest first. clusters
+ * limits it to items in those clusters (omit for everything).
+ */
+async function reportQueue({ status = 'open', clusters } = {}) {
+    const match = { status };
+    if (clusters) {
+        match.cluster = { $in: clusters };
+    }
+
+    const groups = await Report.aggregate([
+        { $match: match },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: { targetType: '$targetType', targetId: '$targetId' },
+                reportIds: { $push: '$_id' },
+                count: { $sum: 1 },
+                reasons: { $addToSet: '$reason' },
+                reports: { $push: { reporterId: '$reporterId', reason: '$reason', details: '$details', createdAt: '$createdAt' } },
+                targetTitle: { $first: '$targetTitle' },
+                ownerId: { $first: '$ownerId' },
+                cluster: { $first: '$cluster' },
+                link: { $first: '$link' },
+                firstReportedAt: { $first: '$createdAt' },
+                resolvedAt: { $max: '$resolvedAt' },
+                resolutionNote: { $last: '$resolutionNote' }
+            }
+        },
+        { $sort: status === 'open' ? { count: -1, firstReportedAt: 1 } : { resolvedAt: -1 } },
+        { $limit: 100 }
+    ]);
+
+    // Names of the reporters and owners
+    const userIds = groups.flatMap(group => [group.ownerId, ...group.reports.map(report => report.reporterId)]);
+    const users = await User.find({ _id: { $in: userIds } }).select('name').lean();
+    const names = new Map(users.map(user => [user._id.toString(), user.name]));
+
+    return groups.map(group => ({
+        targetType: group._id.targetType,
+        targetId: group._id.targetId,
+        reportId: group.reportIds[0],
+        count: group.count,
+        reasons: group.reasons,
+        targetTitle: group.targetTitle,
+        owner: group.ownerId ? { _id: group.ownerId, name: names.get(group.ownerId.toString()) || 'Unknown' } : null,
+        cluster: group.cluster,
+        link: group.link,
+        firstReportedAt: group.firstReportedAt,
+        resolvedAt: group.resolvedAt,
+        resolutionNote: group.resolutionNote,
+        reports: group.reports.map(report => ({
+            ...report,
+            reporterName: names.get(report.reporterId.toString()) || 'Unknown'
+        }))
+    }));
+}
+
+async function hideTarget(targetType, target, moderatorId, hidden) {
+    const update = hidden
+        ? { hiddenAt: new Date(), ...(targetType === 'work' ? { hiddenBy: moderatorId } : {}) }
+        : { hiddenAt: null, ...(targetType === 'work' ? { hiddenBy: null } : {}) };
+    const Model = { work: Work, comment: Comment, portfolio: Portfolio }[targetType];
+    await Model.updateOne({ _id: target.doc._id }, { $set: update });
+}
+
+async function removeTarget(targetType, target, moderatorId) {
+    if (targetType === 'work') {
+        await deleteWork(target.doc);
+    } else if (targetType === 'comment') {
+        await softDeleteComment(target.doc, moderatorId, 'moderator');
+    } else {
+        const portfolio = target.doc;
+        portfolio.title = `${portfolio.userId.name}'s Portfolio`;
+        portfolio.bio = '';
+        portfolio.socialMedia = '';
+        portfolio.hiddenAt = null;
+        portfolio.updatedAt = Date.now();
+        await portfolio.save();
+    }
+}
+
+const REPORTER_MESSAGES = {
+    dismiss: title => `Moderators reviewed your report on "${title}" and left it up`,
+    hide: title => `Thanks for your report: moderators hid "${title}"`,
+    remove: title => `Thanks for your report: moderators removed "${title}"`
+};
+
+const OWNER_MESSAGES = {
+    hide: (label, title) => `Your ${label} "${title}" was hidden by moderators after a report`,
+    remove: (label, title) => `Your ${label} "${title}" was removed by moderators after a report`,
+    restore: (label, title) => `Your ${label} "${title}" was reviewed again and is visible once more`
+};
+
+/**
+ * Act on a report and every other report on the same item. Resolves to
+ * { status, count }. Throws status 400 for an unknown action or a report
+ * that can't take it (only open reports can be dismissed or hidden, and only
+ * hidden items restored).
+ */
+async function resolveReport(report, action, moderator, note) {
+    if (!ACTIONS.includes(action)) {
+        throw moderationError(400, `Action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    // Hidden items can still be removed or restored later
+    const fromStatuses = { restore: ['hidden'], remove: ['open', 'hidden'] }[action] || ['open'];
+    if (!fromStatuses.includes(report.status)) {
+        throw moderationError(400, action === 'restore'
+            ? 'Only hidden content can be restored'
+            : 'This report was already reviewed');
+    }
+
+    const { targetType, targetId } = report;
+    const target = await loadTarget(targetType, targetId);
+    if (!target && action !== 'dismiss') {
+        throw moderationError(404, `That ${TARGET_LABELS[targetType]} no longer exists; dismiss the report instead`);
+    }
+
+    if (action === 'hide') await hideTarget(targetType, target, moderator._id, true);
+    if (action === 'restore') await hideTarget(targetType, target, moderator._id, false);
+    if (action === 'remove') await removeTarget(targetType, target, moderator._id);
+
+    const status = { dismiss: 'dismissed', hide: 'hidden', remove: 'removed', restore: 'restored' }[action];
+    const reports = await Report.find({ targetType, targetId, status: { $in: fromStatuses } }).select('reporterId');
+    await Report.updateMany(
+        { _id: { $in: reports.map(r => r._id) } },
+        { $set: { status, resolvedBy: moderator._id, resolvedAt: new Date(), resolutionNote: note } }
+    );
+
+    const title = target ? target.title : report.targetTitle;
+    if (REPORTER_MESSAGES[action]) {
+        await notifyUsers(reports.map(r => r.reporterId), {
+            type: 'report',
+            message: REPORTER_MESSAGES[action](title),
+            actorId: moderator._id
+        });
+    }
+    if (OWNER_MESSAGES[action] && report.ownerId) {
+        await notify(report.ownerId, {
+            type: 'moderation',
+            message: `${OWNER_MESSAGES[action](TARGET_LABELS[targetType], title)}${note ? `: ${note}` : ''}`,
+            link: action === 'remove' && targetType !== 'portfolio' ? undefined : report.link,
+            actorId: moderator._id,
+            workId: targetType === 'work' && action !== 'remove' ? targetId : undefined
+        });
+    }
+
+    console.log(`🛡️ ${moderator._id} ${status} ${targetType} ${targetId} (${reports.length} report${reports.length === 1 ? '' : 's'})`);
+    return { status, count: reports.length };
+}
+
+module.exports = {
+    ACTIONS,
+    canSeeHidden,
+    createReport,
+    reportQueue,
+    resolveReport
+};
@@ -0,0 +1,159 @@
+/**
+ * Notification Service
+ * Creates the notifications shown in the header bell and emails digests of
+ * unread ones to users who opted in (User.emailDigest daily or weekly).
+ *
+ * Creating a notification never fails the action that caused it; errors
+ * are logged and swallowed.
+ *
+ * NOTIFICATION_DIGEST_CHECK_MINUTES sets how often due digests are looked
+ * for (default 60, 0 disables).
+ */
+
+const { Notification, User } = require('../models');
+const { sendMail } = require('./mail');
+
+const DIGEST_PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Notify one user. Resolves to the notification, or null if it couldn't be saved.
+async function notify(userId, { type, message, link, actorId, workId, themeId }) {
+    try {
+        return await Notification.create({ userId, type, message, link, actorId, workId, themeId });
+    } catch (error) {
+        console.error(`Error creating ${type} notification for ${userId}:`, error);
+        return null;
+    }
+}
+
+// Notify several users at once, skipping duplicates and the actor
+async function notifyUsers(userIds, payload) {
+    const recipients = [...new Set(userIds.map(String))]
+        .filter(id => !payload.actorId || id !== String(payload.actorId));
+    if (recipients.length === 0) return;
+
+    try {
+        await Notification.insertMany(recipients.map(userId => ({ ...payload, userId })));
+    } catch (error) {
+        console.error(`Error creating ${payload.type} notifications:`, error);
+    }
+}
+
+// Votes on a work fold into the owner's unread vote notification for it
+async function notifyVote(work, voterId) {
+    if (String(work.userId) === String(voterId)) return;
+
+    try {
+        const existing = await Notification.findOneAndUpdate(
+            { userId: work.userId, type: 'vote', workId: work._id, readAt: null },
+            { $inc: { count: 1 }, $set: { actorId: voterId, updatedAt: new Date() } },
+            { new: true }
+        );
+        if (existing) {
+            existing.message = `"${work.title}" got ${existing.count} new votes`;
+            await existing.save();
+            return;
+        }
+    } catch (error) {
+        console.error('Error updating vote notification:', error);
+        return;
+    }
+
+    await notify(work.userId, {
+        type: 'vote',
+        message: `"${work.title}" got a new vote`,
+        link: `work.html?id=${work._id}`,
+        actorId: voterId,
+        workId: work._id
+    });
+}
+
+// Tell a member about an admin decision on their application
+function notifyApproval(user, adminId) {
+    const messages = {
+        approved: 'Your member account was approved. You can now upload works!',
+        rejected: `Your member application was not approved${user.rejectionReason ? `: ${user.rejectionReason}` : ''}`,
+        pending: 'Your member approval was withdrawn; an admin will review your account again'
+    };
+    return notify(user._id, {
+        type: 'approval',
+        message: messages[user.approvalStatus],
+        link: 'index.html',
+        actorId: adminId
+    });
+}
+
+const unreadCount = (userId) => Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Email each opted-in user whose digest is due a summary of the unread
+ * notifications they haven't been emailed about. Resolves to the number
+ * of digests sent.
+ */
+async function sendDigests(now = new Date()) {
+    const frontendUrl = (process.env.FRONTEND_URL || 'https://lentexhibit-1.onrender.com').replace(/\/$/, '');
+    const users = await User.find({ emailDigest: { $in: Object.keys(DIGEST_PERIODS) } }).select('name email emailDigest lastDigestAt');
+    let sent = 0;
+
+    for (const user of users) {
+        if (user.lastDigestAt && now - user.lastDigestAt < DIGEST_PERIODS[user.emailDigest]) continue;
+
+        const notifications = await Notification.find({
+            userId: user._id,
+            readAt: null,
+            emailedAt: { $exists: false }
+        }).sort('-updatedAt').limit(50);
+
+        if (notifications.length > 0) {
+            const lines = notifications.map(n => `- ${n.message}${n.link ? `\n  ${frontendUrl}/${n.link}` : ''}`);
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: `Your LenteXhibit ${user.emailDigest} digest: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+                    text: `Hi ${user.name},\n\nHere's what happened since your last digest:\n\n${lines.join('\n')}\n\n` +
+                        `Change how often you get these from the notification bell on ${frontendUrl}/index.html`
+                });
+            } catch (error) {
+                console.error(`Error sending digest to ${user.email}:`, error);
+                continue;
+            }
+            await Notification.updateMany(
+                { _id: { $in: notifications.map(n => n._id) } },
+                { $set: { emailedAt: now } }
+            );
+            sent += 1;
+        }
+
+        user.lastDigestAt = now;
+        await user.save();
+    }
+
+    if (sent > 0) {
+        console.log(`📬 Sent ${sent} notification digest(s)`);
+    }
+    return sent;
+}
+
+// Look for due digests periodically in-process
+function scheduleNotificationDigests() {
+    const minutes = parseFloat(process.env.NOTIFICATION_DIGEST_CHECK_MINUTES ?? '60');
+    if (!minutes || minutes <= 0) return;
+
+    const timer = setInterval(() => {
+        sendDigests().catch(err => console.error('Notification digests failed:', err));
+    }, minutes * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    DIGEST_OPTIONS: ['off', ...Object.keys(DIGEST_PERIODS)],
+    notify,
+    notifyUsers,
+    notifyVote,
+    notifyApproval,
+    unreadCount,
+    sendDigests,
+    scheduleNotificationDigests
+};
@@ -0,0 +1,209 @@
+/**
+ * Portfolio Export Service
+ * Packs a portfolio into a static site zip that members can host anywhere:
+ *
+ *   index.html          the portfolio (pinned works first, then the owner's order)
+ *   works/<n>.html      one page per work
+ *   images/<n>.<ext>    each work's large image (or video poster)
+ *
+ * Images are bundled from our storage; external ones (and any that can't be
+ * loaded) are linked to their original URL instead, never fetched, since
+ * members set those URLs themselves. Videos link to the hosted file.
+ *
+ * The zip is built in memory, so exports are capped: at most
+ * PORTFOLIO_EXPORT_MAX_WORKS works (default 200) and PORTFOLIO_EXPORT_MAX_MB
+ * of images (default 100). Larger portfolios are refused with status 413.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Work } = require('../models');
+const { getStorage } = require('./storage');
+const { createZip } = require('./zip');
+
+const MAX_ASSET_BYTES = 25 * 1024 * 1024;
+const MAX_EXPORT_WORKS = parseInt(process.env.PORTFOLIO_EXPORT_MAX_WORKS || '200', 10);
+const MAX_EXPORT_BYTES = parseFloat(process.env.PORTFOLIO_EXPORT_MAX_MB || '100') * 1024 * 1024;
+
+function exportError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The image to bundle for a work: the large JPEG, the original, or the poster
+function pickImage(work) {
+    const derivatives = work.derivatives || [];
+    const derivative = ['large', 'medium', 'thumbnail']
+        .map(size => derivatives.find(d => d.size === size && d.format === 'jpeg'))
+        .find(Boolean);
+    if (derivative) return { key: derivative.key, url: derivative.url };
+    if (work.category === 'Videos') {
+        return work.video?.posterUrl ? { url: work.video.posterUrl } : null;
+    }
+    return { key: work.fileKey, url: work.fileUrl };
+}
+
+// Read an asset from our storage by key; resolves to null on failure
+async function loadAsset({ key }, tmpDir) {
+    try {
+        const target = path.join(tmpDir, path.basename(key));
+        await getStorage().download(key, target);
+        const data = await fs.promises.readFile(target);
+        await fs.promises.rm(target, { force: true });
+        return data.length <= MAX_ASSET_BYTES ? data : null;
+    } catch (error) {
+        console.error(`Error loading export asset ${key}:`, error.message);
+        return null;
+    }
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f7fa; color: #333; }
+        header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 50px 20px; text-align: center; }
+        header h1 { font-size: 36px; margin-bottom: 10px; }
+        header p { opacity: 0.9; max-width: 700px; margin: 0 auto 8px; line-height: 1.6; }
+        header a { color: white; }
+        main { max-width: 1200px; margin: 0 auto; padding: 40px 20px; }
+        .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 25px; }
+        .card { background: white; border-radius: 15px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1); color: inherit; text-decoration: none; }
+        .card img, .card .placeholder { width: 100%; height: 220px; object-fit: cover; display: flex; align-items: center; justify-content: center; font-size: 48px; background: #eef0fb; }
+        .card div { padding: 15px 20px; }
+        .card h2 { font-size: 17px; margin-bottom: 5px; }
+        .meta { color: #888; font-size: 13px; }
+        .work img { max-width: 100%; border-radius: 15px; display: block; margin: 0 auto 25px; }
+        .work h1 { margin-bottom: 10px; }
+        .work p { line-height: 1.7; margin: 15px 0; }
+        .back { display: inline-block; margin-bottom: 25px; color: #667eea; font-weight: 600; }
+        footer { text-align: center; color: #999; font-size: 13px; padding: 30px; }
+    </style>
+</head>
+<body>
+${body}
+    <footer>Exported from LenteXhibit on ${new Date().toISOString().slice(0, 10)}</footer>
+</body>
+</html>
+`;
+}
+
+function workMeta(work) {
+    return [
+        work.category,
+        work.createdAt ? new Date(work.createdAt).toISOString().slice(0, 10) : null,
+        `❤️ ${work.voteCount || 0}`
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Build the export for a portfolio document (with userId populated).
+ * Resolves to { filename, buffer }; throws status 413 when the portfolio is
+ * over the export limits.
+ */
+async function exportPortfolio(portfolio) {
+    const owner = portfolio.userId || {};
+    const pinned = (portfolio.pinnedWorks || []).map(String);
+    const order = [...pinned, ...portfolio.works.map(String).filter(id => !pinned.includes(id))];
+
+    const works = await Work.find({ _id: { $in: order }, deletedAt: null }).lean();
+    const byId = new Map(works.map(work => [work._id.toString(), work]));
+    const ordered = order.map(id => byId.get(id)).filter(Boolean);
+    if (ordered.length > MAX_EXPORT_WORKS) {
+        throw exportError(413, `Portfolios with more than ${MAX_EXPORT_WORKS} works are too large to export`);
+    }
+
+    const entries = [];
+    let imageBytes = 0;
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'lentexhibit-export-'));
+
+    try {
+        const cards = [];
+        // Every image stays in memory until the zip is built, so stop once
+        // they pass the size limit
+        for (const [index, work] of ordered.entries()) {
+            const number = index + 1;
+            const source = pickImage(work);
+            const image = source?.key ? await loadAsset(source, tmpDir) : null;
+            const ext = image ? (path.extname(source.key) || '.jpg').toLowerCase() : '';
+            const imagePath = image ? `images/${number}${ext}` : null;
+            if (image) {
+                imageBytes += image.length;
+                if (imageBytes > MAX_EXPORT_BYTES) {
+                    throw exportError(413, `This portfolio's images add up to more than ${Math.round(MAX_EXPORT_BYTES / 1024 / 1024)} MB, too large to export`);
+                }
+                entries.push({ name: imagePath, data: image });
+            }
+
+            const icon = work.category === 'Photos' ? '📷' : work.category === 'Graphics' ? '🎨' : '🎬';
+            const title = `${pinned.includes(work._id.toString()) ? '📌 ' : ''}${work.title}`;
+            const media = work.category === 'Videos'
+                ? `${imagePath ? `<img src="../${imagePath}" alt="${escapeHtml(work.title)}">` : ''}
+        <p><a href="${escapeHtml(work.video?.mp4Url || work.fileUrl)}">▶ Watch the video</a></p>`
+                : `<img src="${imagePath ? `../${imagePath}` : escapeHtml(work.fileUrl)}" alt="${escapeHtml(work.title)}">`;
+
+            entries.push({
+                name: `works/${number}.html`,
+                data: page(`${work.title} · ${portfolio.title || owner.name}`, `    <main class="work">
+        <a class="back" href="../index.html">← ${escapeHtml(portfolio.title || owner.name)}</a>
+        ${media}
+        <h1>${escapeHtml(work.title)}</h1>
+        <div class="meta">${escapeHtml(workMeta(work))}</div>
+        ${work.description ? `<p>${escapeHtml(work.description)}</p>` : ''}
+        ${work.tags?.length ? `<div class="meta">${work.tags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</div>` : ''}
+    </main>`)
+            });
+
+            cards.push(`            <a class="card" href="works/${number}.html">
+                ${imagePath ? `<img src="${imagePath}" alt="${escapeHtml(work.title)}" loading="lazy">` : `<span class="placeholder">${icon}</span>`}
+                <div>
+                    <h2>${escapeHtml(title)}</h2>
+                    <span class="meta">${escapeHtml(workMeta(work))}</span>
+                </div>
+            </a>`);
+        }
+
+        entries.unshift({
+            name: 'index.html',
+            data: page(portfolio.title || owner.name || 'Portfolio', `    <header>
+        <h1>${escapeHtml(portfolio.title || owner.name)}</h1>
+        <p>${escapeHtml([owner.name, owner.position, owner.cluster].filter(Boolean).join(' · '))}</p>
+        ${portfolio.bio ? `<p>${escapeHtml(portfolio.bio)}</p>` : ''}
+        ${portfolio.socialMedia ? `<p><a href="${escapeHtml(portfolio.socialMedia)}">🔗 ${escapeHtml(portfolio.socialMedia)}</a></p>` : ''}
+    </header>
+    <main>
+        <div class="grid">
+${cards.join('\n')}
+        </div>
+    </main>`)
+        });
+    } finally {
+        await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+
+    const name = portfolio.slug || String(owner.name || 'portfolio').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return {
+        filename: `${name || 'portfolio'}-portfolio.zip`,
+        buffer: createZip(entries)
+    };
+}
+
+module.exports = {
+    exportPortfolio
+};
@@ -0,0 +1,111 @@
+/**
+ * Portfolio Slug Service
+ * Vanity URLs such as /p/jdelacruz for portfolios.
+ *
+ * A slug is 3-30 lowercase letters, numbers and single hyphens, and can't
+ * be a reserved word (site pages and routes). When a member changes their
+ * slug the old one is kept in previousSlugs so shared links keep working
+ * through a 301 redirect; nobody else can take it while it is kept.
+ */
+
+const { Portfolio } = require('../models');
+
+const MIN_SLUG_LENGTH = 3;
+const MAX_SLUG_LENGTH = 30;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const RESERVED_SLUGS = new Set([
+    'about', 'account', 'admin', 'api', 'app', 'assets', 'auth', 'collections',
+    'edit', 'export', 'graphics', 'hall-of-fame', 'help', 'home', 'index',
+    'lente', 'lentexhibit', 'login', 'logout', 'me', 'new', 'notifications',
+    'null', 'p', 'photos', 'portfolio', 'portfolios', 'register', 'root',
+    'search', 'settings', 'signup', 'slug', 'static', 'support', 'tag', 'tags',
+    'theme', 'themes', 'undefined', 'up-lente', 'uploads', 'user', 'users',
+    'videos', 'vote', 'votes', 'work', 'works'
+]);
+
+function slugError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// " J. Dela Cruz " -> "j-dela-cruz"
+function normalizeSlug(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Throws status 400 when the slug isn't allowed at all
+function validateSlug(slug) {
+    if (slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+        throw slugError(400, `Portfolio URLs must be ${MIN_SLUG_LENGTH}-${MAX_SLUG_LENGTH} characters`);
+    }
+    if (!SLUG_PATTERN.test(slug)) {
+        throw slugError(400, 'Portfolio URLs can only use letters, numbers and hyphens');
+    }
+    if (RESERVED_SLUGS.has(slug)) {
+        throw slugError(400, `"${slug}" is reserved. Please choose another portfolio URL.`);
+    }
+}
+
+// Whether another portfolio uses the slug now or kept it from a rename
+async function isSlugTaken(slug, portfolioId) {
+    const owner = await Portfolio.exists({
+        _id: { $ne: portfolioId },
+        $or: [{ slug }, { previousSlugs: slug }]
+    });
+    return Boolean(owner);
+}
+
+/**
+ * Give a portfolio a new slug (not saved). Throws status 400 for an invalid
+ * slug and 409 when it's taken. The current slug moves to previousSlugs;
+ * reclaiming one of the portfolio's own previous slugs is allowed.
+ */
+async function setPortfolioSlug(portfolio, value) {
+    const slug = normalizeSlug(value);
+    validateSlug(slug);
+    if (slug === portfolio.slug) return portfolio;
+
+    if (await isSlugTaken(slug, portfolio._id)) {
+        throw slugError(409, `The portfolio URL "${slug}" is already taken`);
+    }
+
+    portfolio.previousSlugs = [
+        ...(portfolio.previousSlugs || []).filter(previous => previous !== slug),
+        ...(portfolio.slug ? [portfolio.slug] : [])
+    ];
+    portfolio.slug = slug;
+    return portfolio;
+}
+
+/**
+ * Find a portfolio by slug. Resolves to { portfolio, moved } where moved is
+ * true when the slug is a previous one (callers redirect to portfolio.slug),
+ * or null when no portfolio has used it.
+ */
+async function findBySlug(value) {
+    const slug = normalizeSlug(value);
+    if (!slug) return null;
+
+    const current = await Portfolio.findOne({ slug });
+    if (current) return { portfolio: current, moved: false };
+
+    const renamed = await Portfolio.findOne({ previousSlugs: slug });
+    return renamed ? { portfolio: renamed, moved: true } : null;
+}
+
+module.exports = {
+    RESERVED_SLUGS,
+    normalizeSlug,
+    validateSlug,
+    isSlugTaken,
+    setPortfolioSlug,
+    findBySlug
+};
@@ -0,0 +1,75 @@
+/**
+ * Portfolio Service
+ * Creating, filling and deleting portfolios so they always list their
+ * owner's works and carry the right vote total.
+ *
+ * A portfolio's totalVotes is the sum of voteCount over all of the owner's
+ * works (trashed works keep their votes until they are purged).
+ */
+
+const mongoose = require('mongoose');
+const { Portfolio, Work } = require('../models');
+
+// Sum of the votes on a member's works
+async function ownerVoteTotal(userId) {
+    const [row] = await Work.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, total: { $sum: '$voteCount' } } }
+    ]);
+    return row ? row.total : 0;
+}
+
+/**
+ * Create a member's portfolio, picking up any works and votes they already
+ * have (e.g. after deleting an earlier portfolio). Resolves to the saved
+ * portfolio.
+ */
+async function createPortfolio(user, { title, bio, socialMedia } = {}) {
+    const works = await Work.find({ userId: user._id, deletedAt: null })
+        .select('_id')
+        .sort('createdAt')
+        .lean();
+
+    const portfolio = new Portfolio({
+        userId: user._id,
+        title: title || `${user.name}'s Portfolio`,
+        bio: bio || '',
+        socialMedia: socialMedia || '',
+        works: works.map(work => work._id),
+        totalVotes: await ownerVoteTotal(user._id)
+    });
+    await portfolio.save();
+    console.log('Portfolio created:', portfolio._id);
+    return portfolio;
+}
+
+// Add a new work to its owner's portfolio, creating the portfolio if needed.
+// Resolves to the portfolio
+async function addWorkToPortfolio(user, work) {
+    const portfolio = await Portfolio.findOneAndUpdate(
+        { userId: user._id },
+        { $addToSet: { works: work._id } },
+        { new: true }
+    );
+    return portfolio || createPortfolio(user);
+}
+
+// Recompute a portfolio's totalVotes from its owner's works
+async function recountPortfolioVotes(portfolio) {
+    portfolio.totalVotes = await ownerVoteTotal(portfolio.userId);
+    await Portfolio.updateOne({ _id: portfolio._id }, { $set: { totalVotes: portfolio.totalVotes } });
+    return portfolio.totalVotes;
+}
+
+// Delete a portfolio. The works belong to the member and stay; a new
+// portfolio picks them up again
+async function deletePortfolio(portfolio) {
+    await Portfolio.deleteOne({ _id: portfolio._id });
+}
+
+module.exports = {
+    createPortfolio,
+    addWorkToPortfolio,
+    recountPortfolioVotes,
+    deletePortfolio
+};
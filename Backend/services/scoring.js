@@ -0,0 +1,230 @@
+/**
+ * Scoring Service
+ * Computes a theme's final standings according to its scoring mode:
+ *
+ *   popular  - public votes on each submission
+ *   ranked   - instant-runoff over ranked-choice ballots; works are ranked
+ *              by the round they were eliminated in
+ *   judged   - average judge rubric score (weighted criteria, 1-10)
+ *   blend    - publicWeight x share of the top vote count
+ *              + (1 - publicWeight) x judge score out of 10, scaled to 100
+ *
+ * Results are stored on Theme.results when the theme scheduler moves a
+ * theme to Ended (see services/themeLifecycle.js).
+ */
+
+const { Theme, Work, Vote, Ballot, JudgeScore } = require('../models');
+
+const DEFAULT_CRITERIA = [
+    { name: 'Creativity', weight: 1 },
+    { name: 'Technique', weight: 1 },
+    { name: 'Theme relevance', weight: 1 }
+];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Competition ranking over rows sorted best-first: equal scores share a rank
+function assignRanks(rows) {
+    rows.forEach((row, i) => {
+        const previous = rows[i - 1];
+        row.rank = previous && previous.score === row.score ? previous.rank : i + 1;
+    });
+    return rows;
+}
+
+// Votes cast in this theme (not ones from before the work was entered)
+async function publicVoteCounts(theme, submissionIds) {
+    const counts = await Vote.aggregate([
+        { $match: { workId: { $in: submissionIds }, themeId: theme._id } },
+        { $group: { _id: '$workId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(row => [row._id.toString(), row.count]));
+}
+
+// Per-work judge averages: { score, judgeCount, criteria: [{ name, average }] }
+async function judgeAverages(theme, submissionIds) {
+    const criteria = theme.scoring?.criteria?.length ? theme.scoring.criteria : DEFAULT_CRITERIA;
+    // All-zero weights fall back to a plain average
+    const weighted = criteria.some(c => c.weight > 0);
+    const weightOf = c => (weighted ? c.weight : 1);
+    const totalWeight = criteria.reduce((sum, c) => sum + weightOf(c), 0);
+    const sheets = await JudgeScore.find({ themeId: theme._id, workId: { $in: submissionIds } }).lean();
+
+    const byWork = new Map();
+    for (const sheet of sheets) {
+        const key = sheet.workId.toString();
+        if (!byWork.has(key)) byWork.set(key, []);
+        byWork.get(key).push(sheet);
+    }
+
+    const averages = new Map();
+    for (const [workId, workSheets] of byWork) {
+        // Weighted mean of each judge's criteria, then the mean across judges
+        const judgeTotals = workSheets.map(sheet => criteria.reduce((sum, c) => {
+            const entry = sheet.scores.find(s => s.criterion === c.name);
+            return sum + (entry ? entry.score : 0) * weightOf(c);
+        }, 0) / totalWeight);
+
+        averages.set(workId, {
+            score: judgeTotals.reduce((a, b) => a + b, 0) / judgeTotals.length,
+            judgeCount: workSheets.length,
+            criteria: criteria.map(c => {
+                const values = workSheets
+                    .map(sheet => sheet.scores.find(s => s.criterion === c.name)?.score)
+                    .filter(v => v !== undefined);
+                return {
+                    name: c.name,
+                    average: values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : null
+                };
+            })
+        });
+    }
+    return averages;
+}
+
+function scorePopular(submissionIds, votes) {
+    const rows = submissionIds.map(id => ({
+        workId: id,
+        publicVotes: votes.get(id.toString()) || 0
+    }));
+    rows.forEach(row => { row.score = row.publicVotes; });
+    return assignRanks(rows.sort((a, b) => b.score - a.score));
+}
+
+function scoreJudged(submissionIds, votes, judges) {
+    const rows = submissionIds.map(id => {
+        const judged = judges.get(id.toString());
+        return {
+            workId: id,
+            publicVotes: votes.get(id.toString()) || 0,
+            // Unjudged works score 0 and fall to the bottom together
+            score: judged ? round(judged.score) : 0,
+            judgeScore: judged ? round(judged.score) : null,
+            judgeCount: judged ? judged.judgeCount : 0,
+            criteria: judged ? judged.criteria : []
+        };
+    });
+    return assignRanks(rows.sort((a, b) => b.score - a.score));
+}
+
+function scoreBlend(submissionIds, votes, judges, publicWeight) {
+    const topVotes = Math.max(0, ...submissionIds.map(id => votes.get(id.toString()) || 0));
+    const rows = scoreJudged(submissionIds, votes, judges).map(row => {
+        const publicShare = topVotes ? row.publicVotes / topVotes : 0;
+        const judgeShare = (row.judgeScore || 0) / 10;
+        return { ...row, score: round((publicWeight * publicShare + (1 - publicWeight) * judgeShare) * 100) };
+    });
+    return assignRanks(rows.sort((a, b) => b.score - a.score));
+}
+
+/**
+ * Instant-runoff over ranked ballots. Each round counts every ballot for its
+ * highest-ranked work still standing and eliminates the work(s) with the
+ * fewest; works eliminated together share a rank. The last works standing
+ * win. Returns { standings, rounds }.
+ */
+function scoreRankedChoice(submissionIds, ballots, votes) {
+    const remaining = new Set(submissionIds.map(id => id.toString()));
+    const groups = [];
+    const rounds = [];
+    const lastTally = new Map();
+
+    while (remaining.size > 0) {
+        const tallies = new Map([...remaining].map(id => [id, 0]));
+        for (const ballot of ballots) {
+            const choice = ballot.rankings.map(String).find(id => remaining.has(id));
+            if (choice) tallies.set(choice, tallies.get(choice) + 1);
+        }
+        tallies.forEach((count, id) => lastTally.set(id, count));
+
+        const fewest = Math.min(...tallies.values());
+        const eliminated = [...remaining].filter(id => tallies.get(id) === fewest);
+
+        rounds.push({
+            tallies: [...tallies].map(([workId, count]) => ({ workId, votes: count })),
+            eliminated: eliminated.length === remaining.size ? [] : eliminated
+        });
+
+        groups.push(eliminated);
+        eliminated.forEach(id => remaining.delete(id));
+    }
+
+    // Last group eliminated (or left standing) ranks first
+    const standings = [];
+    groups.reverse().forEach(group => {
+        const rank = standings.length + 1;
+        group.forEach(id => standings.push({
+            workId: id,
+            rank,
+            score: lastTally.get(id) || 0,
+            publicVotes: votes.get(id) || 0
+        }));
+    });
+
+    return { standings, rounds };
+}
+
+/**
+ * Compute and store the standings for a theme. Safe to re-run; the previous
+ * results are replaced. Resolves to the updated theme.
+ */
+async function computeThemeResults(themeOrId) {
+    const theme = themeOrId instanceof Theme ? themeOrId : await Theme.findById(themeOrId);
+    if (!theme) return null;
+
+    const mode = theme.scoring?.mode || 'popular';
+    // Works hidden by moderators or in the trash don't place
+    const hidden = await Work.find({
+        _id: { $in: theme.submissions },
+        $or: [{ hiddenAt: { $ne: null } }, { deletedAt: { $ne: null } }]
+    }).distinct('_id');
+    const submissionIds = theme.submissions
+        .map(id => id._id || id)
+        .filter(id => !hidden.some(hiddenId => hiddenId.equals(id)));
+    const votes = await publicVoteCounts(theme, submissionIds);
+
+    let standings;
+    let rounds = [];
+    let ballotCount;
+
+    if (mode === 'ranked') {
+        const ballots = await Ballot.find({ themeId: theme._id }).select('rankings').lean();
+        ballotCount = ballots.length;
+        ({ standings, rounds } = scoreRankedChoice(submissionIds, ballots, votes));
+    } else if (mode === 'judged') {
+        standings = scoreJudged(submissionIds, votes, await judgeAverages(theme, submissionIds));
+    } else if (mode === 'blend') {
+        const weight = theme.scoring?.publicWeight ?? 0.5;
+        standings = scoreBlend(submissionIds, votes, await judgeAverages(theme, submissionIds), weight);
+    } else {
+        standings = scorePopular(submissionIds, votes);
+    }
+
+    theme.results = {
+        computedAt: new Date(),
+        mode,
+        standings,
+        ballotCount,
+        rounds
+    };
+    await theme.save();
+
+    console.log(`🏁 Results computed for theme ${theme._id} (${mode}, ${standings.length} works)`);
+    return theme;
+}
+
+// Compute results for ended themes that have none (e.g. ended before results existed)
+async function finalizeEndedThemes() {
+    const themes = await Theme.find({ status: 'Ended', 'results.computedAt': { $exists: false } });
+    for (const theme of themes) {
+        await computeThemeResults(theme);
+    }
+    return themes.map(theme => theme._id);
+}
+
+module.exports = {
+    DEFAULT_CRITERIA,
+    computeThemeResults,
+    finalizeEndedThemes,
+    scoreRankedChoice
+};
@@ -0,0 +1,149 @@
+/**
+ * Search
+ * One query across works, members and themes, ranked by relevance.
+ *
+ * Whole words are matched through MongoDB text indexes, stemmed and weighted
+ * towards titles and names (see models/index.js). With prefix matching on,
+ * titles and names that start with the query match too and rank higher, so
+ * suggestions show up while a word is still being typed.
+ */
+
+const { Work, User, Theme, Portfolio, SEARCH_COLLATION } = require('../models');
+
+const SEARCH_TYPES = ['works', 'members', 'themes'];
+const MAX_QUERY_LENGTH = 100;
+// Added to the text score of results whose title or name starts with the query
+const PREFIX_BOOST = 10;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Plain words only: quotes and leading '-' would be phrase and negation syntax
+function toTextSearch(query) {
+    return query
+        .replace(/["\\]/g, ' ')
+        .split(/\s+/)
+        .map(word => word.replace(/^-+/, ''))
+        .filter(Boolean)
+        .join(' ');
+}
+
+const SOURCES = {
+    works: {
+        model: Work,
+        field: 'title',
+        // Works hidden by moderators or in the trash are left out
+        filter: { hiddenAt: null, deletedAt: null },
+        fields: ['title', 'description', 'category', 'userId', 'themeId', 'voteCount', 'fileUrl', 'derivatives', 'video.posterUrl', 'createdAt'],
+        populate: [
+            { path: 'userId', select: 'name cluster' },
+            { path: 'themeId', select: 'title' }
+        ]
+    },
+    members: {
+        model: User,
+        field: 'name',
+        // Only approved members are public (accounts in the trash are left out)
+        filter: { userType: 'member', isApproved: true, deletedAt: null },
+        fields: ['name', 'cluster', 'position', 'batchName']
+    },
+    themes: {
+        model: Theme,
+        field: 'title',
+        filter: {},
+        fields: ['title', 'description', 'category', 'status', 'startDate', 'endDate', 'voting.endDate']
+    }
+};
+
+async function searchSource(type, query, { limit, prefix, category }) {
+    const source = SOURCES[type];
+    const filter = { ...source.filter };
+    if (category && type !== 'members') {
+        filter.category = category;
+    }
+
+    const projection = Object.fromEntries(source.fields.map(field => [field, 1]));
+    const terms = toTextSearch(query);
+
+    const [textMatches, prefixMatches] = await Promise.all([
+        terms
+            ? source.model.find(
+                { ...filter, $text: { $search: terms } },
+                { ...projection, score: { $meta: 'textScore' } }
+            ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean()
+            : [],
+        // A range on the case-insensitive index; U+FFFF sorts after everything
+        prefix
+            ? source.model.find(
+                { ...filter, [source.field]: { $gte: query, $lt: `${query}\uffff` } },
+                projection
+            ).collation(SEARCH_COLLATION).sort({ [source.field]: 1 }).limit(limit).lean()
+            : []
+    ]);
+
+    const byId = new Map();
+    for (const doc of textMatches) {
+        byId.set(doc._id.toString(), doc);
+    }
+    for (const doc of prefixMatches) {
+        const existing = byId.get(doc._id.toString());
+        const entry = existing || { ...doc, score: 0 };
+        entry.score += PREFIX_BOOST;
+        byId.set(doc._id.toString(), entry);
+    }
+
+    const results = [...byId.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    if (source.populate) {
+        await source.model.populate(results, source.populate);
+    }
+
+    // Member results link to their portfolio
+    if (type === 'members' && results.length > 0) {
+        const portfolios = await Portfolio.find({ userId: { $in: results.map(user => user._id) } })
+            .select('userId')
+            .lean();
+        const portfolioByUser = new Map(portfolios.map(p => [p.userId.toString(), p._id]));
+        for (const user of results) {
+            user.portfolioId = portfolioByUser.get(user._id.toString()) || null;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Search the given types for the query. Resolves to the results grouped by
+ * type, best match first. Throws an error with status 400 for bad input.
+ */
+async function search(rawQuery, { types = SEARCH_TYPES, limit = 5, prefix = true, category } = {}) {
+    const query = typeof rawQuery === 'string' ? rawQuery.trim() : '';
+    if (!query) {
+        const error = new Error('Search query is required');
+        error.status = 400;
+        throw error;
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+        const error = new Error(`Search queries are limited to ${MAX_QUERY_LENGTH} characters`);
+        error.status = 400;
+        throw error;
+    }
+
+    const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+        const error = new Error(`Unknown search type: ${unknown.join(', ')}. Use ${SEARCH_TYPES.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const groups = await Promise.all(types.map(type => searchSource(type, query, { limit, prefix, category })));
+    return Object.fromEntries(types.map((type, index) => [type, groups[index]]));
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    escapeRegex,
+    search
+};
@@ -0,0 +1,149 @@
+/**
+ * Storage Service
+ * Pluggable file storage for uploaded works.
+ *
+ * STORAGE_DRIVER selects the backend:
+ *   - local (default): files are written under UPLOAD_DIR and served by
+ *     server.js from /uploads
+ *   - s3: files are sent to an S3-compatible bucket (AWS S3, MinIO, ...)
+ *     configured with S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ *     S3_SECRET_ACCESS_KEY and optionally S3_PUBLIC_URL
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+// Build a unique object key such as "photos/<userId>/1700000000000-ab12cd34.jpg"
+function buildKey(category, userId, originalName) {
+    const ext = path.extname(originalName || '').toLowerCase();
+    const random = crypto.randomBytes(4).toString('hex');
+    return `${category.toLowerCase()}/${userId}/${Date.now()}-${random}${ext}`;
+}
+
+// Local disk storage
+function createLocalStorage() {
+    const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+    return {
+        driver: 'local',
+
+        async save(filePath, key) {
+            const target = path.join(UPLOAD_DIR, key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(filePath, target);
+            return { key, url: this.urlFor(key) };
+        },
+
+        async saveBuffer(buffer, key) {
+            const target = path.join(UPLOAD_DIR, key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.writeFile(target, buffer);
+            return { key, url: this.urlFor(key) };
+        },
+
+        async download(key, destPath) {
+            await fs.promises.copyFile(path.join(UPLOAD_DIR, key), destPath);
+        },
+
+        async remove(key) {
+            if (!key) return;
+            await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+        },
+
+        urlFor(key) {
+            return `${baseUrl}/uploads/${key}`;
+        }
+    };
+}
+
+// S3-compatible object storage (MinIO works as a drop-in for development)
+function createS3Storage() {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { pipeline } = require('stream/promises');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    const endpoint = process.env.S3_ENDPOINT;
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint,
+        // MinIO and most self-hosted endpoints only support path-style URLs
+        forcePathStyle: !!endpoint,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    const publicUrl = (process.env.S3_PUBLIC_URL ||
+        (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)).replace(/\/$/, '');
+
+    return {
+        driver: 's3',
+
+        async save(filePath, key, mimeType) {
+            const { size } = await fs.promises.stat(filePath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(filePath),
+                ContentLength: size,
+                ContentType: mimeType
+            }));
+            return { key, url: this.urlFor(key) };
+        },
+
+        async saveBuffer(buffer, key, mimeType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: mimeType
+            }));
+            return { key, url: this.urlFor(key) };
+        },
+
+        async download(key, destPath) {
+            const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            await pipeline(Body, fs.createWriteStream(destPath));
+        },
+
+        async remove(key) {
+            if (!key) return;
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        urlFor(key) {
+            return `${publicUrl}/${key}`;
+        }
+    };
+}
+
+let storage = null;
+
+// Get the configured storage backend (created once per process)
+function getStorage() {
+    if (!storage) {
+        const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+        if (driver === 's3') {
+            storage = createS3Storage();
+        } else if (driver === 'local') {
+            storage = createLocalStorage();
+        } else {
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+        }
+    }
+    return storage;
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    buildKey,
+    getStorage
+};
@@ -0,0 +1,208 @@
+/**
+ * Tag Service
+ * Works store tag slugs ("street-photography"); the Tag collection holds
+ * the display name, curation flag and how many works use each tag.
+ *
+ * Members create tags just by using them. Admins and curators promote tags
+ * to curated (offered first in autocomplete), rename them and merge
+ * duplicates. Renamed and merged-away slugs are kept as aliases so links
+ * and filters using them still find the tag.
+ */
+
+const { Tag, Work } = require('../models');
+
+const MAX_TAGS_PER_WORK = 10;
+const MAX_TAG_LENGTH = 30;
+
+function tagError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// "Street Photography!" -> "street-photography"
+function slugify(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Read tags from a request body: an array, a JSON array string (multipart
+ * forms) or a comma-separated string. Resolves to [{ name, slug }] without
+ * duplicates; throws an error with status 400 for invalid input.
+ */
+function parseTagInput(input) {
+    let names = input;
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('[')) {
+            try {
+                names = JSON.parse(text);
+            } catch (error) {
+                throw tagError(400, 'Tags must be a list of names');
+            }
+        } else {
+            names = text ? text.split(',') : [];
+        }
+    }
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        throw tagError(400, 'Tags must be a list of names');
+    }
+
+    const tags = new Map();
+    for (const raw of names) {
+        const name = raw.trim().replace(/^#/, '');
+        if (!name) continue;
+        if (name.length > MAX_TAG_LENGTH) {
+            throw tagError(400, `Tags are limited to ${MAX_TAG_LENGTH} characters`);
+        }
+        const slug = slugify(name);
+        if (!slug) {
+            throw tagError(400, `"${name}" needs at least one letter or number to be a tag`);
+        }
+        if (!tags.has(slug)) tags.set(slug, { name, slug });
+    }
+
+    if (tags.size > MAX_TAGS_PER_WORK) {
+        throw tagError(400, `A work can have at most ${MAX_TAGS_PER_WORK} tags`);
+    }
+    return [...tags.values()];
+}
+
+// Map slugs that were renamed or merged away to the tag they belong to now
+async function canonicalSlugs(slugs) {
+    if (slugs.length === 0) return [];
+
+    const aliased = await Tag.find({ aliases: { $in: slugs } }).select('slug aliases').lean();
+    const bySlug = new Map();
+    for (const tag of aliased) {
+        for (const alias of tag.aliases) bySlug.set(alias, tag.slug);
+    }
+    return [...new Set(slugs.map(slug => bySlug.get(slug) || slug))];
+}
+
+// Find a tag by its slug or one of its former slugs
+const findTag = (slug) => Tag.findOne({ $or: [{ slug }, { aliases: slug }] });
+
+/**
+ * Resolve parsed tags to canonical slugs, creating tags that don't exist
+ * yet. Resolves to the slugs to store on the work.
+ */
+async function resolveTags(tags, userId) {
+    const slugs = await canonicalSlugs(tags.map(tag => tag.slug));
+    const nameBySlug = new Map(tags.map(tag => [tag.slug, tag.name]));
+
+    await Promise.all(slugs.map(slug => Tag.updateOne(
+        { slug },
+        { $setOnInsert: { slug, name: nameBySlug.get(slug) || slug, createdBy: userId } },
+        { upsert: true }
+    ).catch(error => {
+        // Two works adding the same new tag at once: the other insert won
+        if (error.code !== 11000) throw error;
+    })));
+
+    return slugs;
+}
+
+// Keep usage counts in step with a work's tags changing from `before` to `after`
+async function updateTagUsage(before = [], after = []) {
+    const added = after.filter(slug => !before.includes(slug));
+    const removed = before.filter(slug => !after.includes(slug));
+
+    await Promise.all([
+        added.length && Tag.updateMany({ slug: { $in: added } }, { $inc: { usageCount: 1 } }),
+        removed.length && Tag.updateMany({ slug: { $in: removed }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } })
+    ]);
+}
+
+// Recount usage from the works themselves
+async function recountTags(slugs) {
+    await Promise.all(slugs.map(async (slug) => {
+        const usageCount = await Work.countDocuments({ tags: slug });
+        await Tag.updateOne({ slug }, { $set: { usageCount } });
+    }));
+}
+
+/**
+ * Rename a tag. Its slug follows the new name, and works are moved over;
+ * the old slug becomes an alias. Throws status 409 if another tag already
+ * has the new slug (merge them instead).
+ */
+async function renameTag(tag, name) {
+    const [parsed] = parseTagInput([name]);
+    if (!parsed) throw tagError(400, 'Tag name is required');
+
+    const oldSlug = tag.slug;
+    if (parsed.slug !== oldSlug) {
+        const clash = await Tag.findOne({
+            _id: { $ne: tag._id },
+            $or: [{ slug: parsed.slug }, { aliases: parsed.slug }]
+        });
+        if (clash) {
+            throw tagError(409, `A tag called "${clash.name}" already exists. Merge the tags instead.`);
+        }
+
+        await Work.updateMany({ tags: oldSlug }, { $set: { 'tags.$': parsed.slug } });
+        tag.aliases = [...tag.aliases.filter(alias => alias !== parsed.slug), oldSlug];
+        tag.slug = parsed.slug;
+    }
+
+    tag.name = parsed.name;
+    tag.updatedAt = Date.now();
+    await tag.save();
+    return tag;
+}
+
+/**
+ * Merge tags into a target tag: their works get the target tag instead and
+ * their slugs become aliases of the target. Resolves to the target tag.
+ */
+async function mergeTags(sources, target) {
+    const others = sources.filter(tag => !tag._id.equals(target._id));
+    if (others.length === 0) {
+        throw tagError(400, 'Choose at least one other tag to merge');
+    }
+    const slugs = others.map(tag => tag.slug);
+
+    await Work.updateMany({ tags: { $in: slugs } }, { $addToSet: { tags: target.slug } });
+    await Work.updateMany({ tags: { $in: slugs } }, { $pull: { tags: { $in: slugs } } });
+
+    target.aliases = [...new Set([
+        ...target.aliases,
+        ...slugs,
+        ...others.flatMap(tag => tag.aliases)
+    ])];
+    target.curated = target.curated || others.some(tag => tag.curated);
+    target.updatedAt = Date.now();
+    await target.save();
+
+    await Tag.deleteMany({ _id: { $in: others.map(tag => tag._id) } });
+    await recountTags([target.slug]);
+
+    return Tag.findById(target._id);
+}
+
+// Delete a tag and take it off every work
+async function deleteTag(tag) {
+    const { modifiedCount } = await Work.updateMany({ tags: tag.slug }, { $pull: { tags: tag.slug } });
+    await Tag.deleteOne({ _id: tag._id });
+    return modifiedCount;
+}
+
+module.exports = {
+    MAX_TAGS_PER_WORK,
+    slugify,
+    parseTagInput,
+    canonicalSlugs,
+    findTag,
+    resolveTags,
+    updateTagUsage,
+    renameTag,
+    mergeTags,
+    deleteTag
+};
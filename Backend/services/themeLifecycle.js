@@ -0,0 +1,259 @@
+/**
+ * Theme Lifecycle Service
+ * In-process scheduler that moves themes through their lifecycle at the
+ * exact dates on the theme:
+ *
+ *   Upcoming -> Active   at startDate (submissions open)
+ *   Active   -> Voting   at endDate (submissions close)
+ *   Voting   -> Ended    when the voting window closes
+ *
+ * Themes whose voting ends with their submissions skip Voting. Each status
+ * change is a conditional update, so when several server instances run the
+ * scheduler only one of them wins a transition and fires its hooks.
+ *
+ * Hooks registered with onThemeTransition(status, fn) run after a theme
+ * enters that status. The defaults freeze submissions when a theme leaves
+ * Active and tell submitters when voting opens; when it ends they compute
+ * the results, decide the awards and announce them.
+ */
+
+const { Theme, Work } = require('../models');
+const { computeThemeResults, finalizeEndedThemes } = require('./scoring');
+const { assignAwards, awardEndedThemes } = require('./awards');
+const { sendMail } = require('./mail');
+const { notify, notifyUsers } = require('./notifications');
+
+const ORDER = ['Upcoming', 'Active', 'Voting', 'Ended'];
+
+// Wake up at least this often, in case themes were edited by another instance
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+const hooks = Object.fromEntries(ORDER.map(status => [status, []]));
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Register fn(theme, { from, to }) to run when a theme enters status
+function onThemeTransition(status, fn) {
+    if (!hooks[status]) {
+        throw new Error(`Unknown theme status: ${status}`);
+    }
+    hooks[status].push(fn);
+}
+
+async function runHooks(theme, from, to) {
+    for (const hook of hooks[to]) {
+        try {
+            await hook(theme, { from, to });
+        } catch (error) {
+            // One failing hook shouldn't stop the others or the transition
+            console.error(`Theme ${theme._id} ${from} -> ${to} hook failed:`, error);
+        }
+    }
+}
+
+/**
+ * Bring a theme's stored status in line with its dates, firing the hooks
+ * for every status it passes through. Dates moved later (a theme reopened)
+ * set the earlier status directly without hooks. Resolves to the theme.
+ */
+async function syncThemeStatus(theme, now = new Date()) {
+    const target = theme.statusAt(now);
+    const from = theme.status;
+    if (target === from) return theme;
+
+    if (ORDER.indexOf(target) < ORDER.indexOf(from)) {
+        const update = { $set: { status: target, statusChangedAt: now }, $unset: {} };
+        if (target === 'Upcoming' || target === 'Active') update.$unset.submissionsFrozenAt = '';
+        if (target !== 'Ended') {
+            Object.assign(update.$unset, {
+                results: '', resultsAnnouncedAt: '', awards: '', awardsDecidedAt: '', awardsOverriddenBy: '', awardsOverriddenAt: ''
+            });
+        }
+
+        const { modifiedCount } = await Theme.updateOne({ _id: theme._id, status: from }, update);
+        if (modifiedCount) {
+            await Work.updateMany({ 'awards.themeId': theme._id }, { $pull: { awards: { themeId: theme._id } } });
+            console.log(`🗓️ Theme "${theme.title}" reopened: ${from} -> ${target}`);
+        }
+        return Theme.findById(theme._id);
+    }
+
+    const steps = ORDER.slice(ORDER.indexOf(from) + 1, ORDER.indexOf(target) + 1)
+        .filter(status => status !== 'Voting' || theme.votingWindow().end > theme.endDate);
+
+    for (const to of steps) {
+        const previous = theme.status;
+        const { modifiedCount } = await Theme.updateOne(
+            { _id: theme._id, status: previous },
+            { $set: { status: to, statusChangedAt: now } }
+        );
+        // Someone else moved it first; they fire the hooks
+        if (!modifiedCount) return Theme.findById(theme._id);
+
+        theme.status = to;
+        theme.statusChangedAt = now;
+        console.log(`🗓️ Theme "${theme.title}": ${previous} -> ${to}`);
+        await runHooks(theme, previous, to);
+    }
+    return theme;
+}
+
+// Next date after now at which any of the themes changes status
+function nextBoundary(themes, now) {
+    const dates = themes.flatMap(theme => [theme.startDate, theme.endDate, theme.votingWindow().end]);
+    const upcoming = dates.filter(date => date && date > now).map(date => date.getTime());
+    return upcoming.length ? Math.min(...upcoming) : null;
+}
+
+async function tick() {
+    if (running) {
+        rerun = true;
+        return;
+    }
+    running = true;
+    clearTimeout(timer);
+
+    let delay = MAX_SLEEP_MS;
+    try {
+        const now = new Date();
+        const themes = await Theme.find({ status: { $ne: 'Ended' } });
+        const open = [];
+        for (const theme of themes) {
+            try {
+                const synced = await syncThemeStatus(theme, now);
+                if (synced && synced.status !== 'Ended') open.push(synced);
+            } catch (error) {
+                console.error(`Error updating status of theme ${theme._id}:`, error);
+            }
+        }
+
+        const next = nextBoundary(open, now);
+        if (next) delay = Math.min(Math.max(next - Date.now(), 0), MAX_SLEEP_MS);
+    } catch (error) {
+        console.error('Theme scheduler failed:', error);
+    } finally {
+        running = false;
+    }
+
+    if (rerun) {
+        rerun = false;
+        return tick();
+    }
+    timer = setTimeout(() => tick(), delay);
+    timer.unref();
+}
+
+// Re-plan after themes are created, edited or deleted
+function rescheduleThemes() {
+    tick().catch(err => console.error('Theme scheduler failed:', err));
+}
+
+// Catch up on anything missed while the server was down, then follow the dates
+async function startThemeScheduler() {
+    await tick();
+    const finalized = await finalizeEndedThemes();
+    if (finalized.length) {
+        console.log(`🏁 Computed missing results for ${finalized.length} ended theme(s)`);
+    }
+    await awardEndedThemes();
+}
+
+// Close submissions once a theme leaves Active
+async function freezeSubmissions(theme) {
+    const frozenAt = new Date();
+    const { modifiedCount } = await Theme.updateOne(
+        { _id: theme._id, submissionsFrozenAt: { $exists: false } },
+        { $set: { submissionsFrozenAt: frozenAt } }
+    );
+    if (modifiedCount) {
+        theme.submissionsFrozenAt = frozenAt;
+        console.log(`🔒 Submissions frozen for "${theme.title}" (${theme.submissions.length} works)`);
+    }
+}
+
+const AWARD_LABELS = {
+    first: '1st place',
+    second: '2nd place',
+    third: '3rd place',
+    honorable: 'an honorable mention'
+};
+
+// Email every submitter their final rank and any award
+async function announceResults(theme) {
+    if (!theme.results?.computedAt) return;
+
+    // Claim the announcement so it only goes out once
+    const announcedAt = new Date();
+    const { modifiedCount } = await Theme.updateOne(
+        { _id: theme._id, resultsAnnouncedAt: { $exists: false } },
+        { $set: { resultsAnnouncedAt: announcedAt } }
+    );
+    if (!modifiedCount) return;
+    theme.resultsAnnouncedAt = announcedAt;
+
+    const frontendUrl = (process.env.FRONTEND_URL || 'https://lentexhibit-1.onrender.com').replace(/\/$/, '');
+    const rankByWork = new Map(theme.results.standings.map(s => [s.workId.toString(), s.rank]));
+    const awardByWork = new Map((theme.awards || []).map(a => [a.workId.toString(), a.place]));
+    const works = await Work.find({ _id: { $in: theme.submissions } }).populate('userId', 'name email');
+    const total = theme.results.standings.length;
+
+    for (const work of works) {
+        if (!work.userId) continue;
+        const rank = rankByWork.get(work._id.toString());
+        const award = awardByWork.get(work._id.toString());
+
+        await notify(work.userId._id, {
+            type: 'theme_ended',
+            message: `"${theme.title}" has ended` +
+                (rank ? `: "${work.title}" placed #${rank} of ${total}` : '') +
+                (award ? ` and won ${AWARD_LABELS[award]}` : ''),
+            link: 'theme.html',
+            themeId: theme._id,
+            workId: work._id
+        });
+
+        if (!work.userId.email) continue;
+        try {
+            await sendMail({
+                to: work.userId.email,
+                subject: `Results are in for "${theme.title}"`,
+                text: `Hi ${work.userId.name},\n\n"${theme.title}" has ended. ` +
+                    (rank ? `Your work "${work.title}" placed #${rank} of ${total}.` : `Thanks for submitting "${work.title}".`) +
+                    (award ? ` Congratulations, it won ${AWARD_LABELS[award]}!` : '') +
+                    `\n\nSee the full results:\n\n${frontendUrl}/theme.html`
+            });
+        } catch (error) {
+            console.error(`Error sending results email for work ${work._id}:`, error);
+        }
+    }
+    console.log(`📣 Results announced for "${theme.title}" to ${works.length} submitter(s)`);
+}
+
+// Let submitters know their theme is being voted on
+async function announceVoting(theme) {
+    const submitters = await Work.find({ _id: { $in: theme.submissions } }).distinct('userId');
+    await notifyUsers(submitters, {
+        type: 'theme_voting',
+        message: `Voting is open for "${theme.title}"`,
+        link: 'theme.html',
+        themeId: theme._id
+    });
+}
+
+onThemeTransition('Voting', freezeSubmissions);
+onThemeTransition('Voting', announceVoting);
+onThemeTransition('Ended', freezeSubmissions);
+onThemeTransition('Ended', async (theme) => {
+    await computeThemeResults(theme);
+    await assignAwards(theme);
+});
+onThemeTransition('Ended', announceResults);
+
+module.exports = {
+    onThemeTransition,
+    syncThemeStatus,
+    rescheduleThemes,
+    startThemeScheduler
+};
@@ -0,0 +1,207 @@
+/**
+ * Theme Service
+ * Theme submissions and deleting a theme with everything that points at it.
+ *
+ * Members can submit, withdraw or swap works while a theme is Active, up to
+ * the theme's maxSubmissionsPerMember. Every change is kept in the theme's
+ * submissionHistory.
+ */
+
+const { Theme, Work, Vote, Ballot, JudgeScore, Notification } = require('../models');
+
+function submissionError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Throws unless the member can enter this work in the theme
+function checkEligible(theme, work, userId) {
+    if (!work || work.deletedAt) {
+        throw submissionError(404, 'Work not found');
+    }
+    if (work.userId.toString() !== String(userId)) {
+        throw submissionError(403, 'You can only submit your own works');
+    }
+    if (work.hiddenAt) {
+        throw submissionError(400, 'This work was hidden by moderators and cannot be submitted');
+    }
+    if (theme.category !== 'All' && work.category !== theme.category) {
+        throw submissionError(400, `This theme only accepts ${theme.category}`);
+    }
+    if (theme.submissions.some(id => id.equals(work._id))) {
+        throw submissionError(400, 'Work already submitted to this theme');
+    }
+    if (work.themeId && !work.themeId.equals(theme._id)) {
+        throw submissionError(400, 'This work is already entered in another theme');
+    }
+}
+
+// Submissions can only change while the theme is open
+function checkOpen(theme) {
+    if (theme.status !== 'Active') {
+        throw submissionError(400, 'This theme is not currently accepting submissions');
+    }
+}
+
+// Number of the member's works in the theme
+function memberSubmissionCount(theme, userId) {
+    return Work.countDocuments({ _id: { $in: theme.submissions }, userId });
+}
+
+/**
+ * Enter a work in a theme. Throws status 400/403/404 when the work isn't
+ * eligible, the theme isn't open or the member is at the theme's limit.
+ * Resolves to the updated theme.
+ */
+async function submitWork(theme, work, userId) {
+    checkOpen(theme);
+    checkEligible(theme, work, userId);
+
+    const limit = theme.maxSubmissionsPerMember || 0;
+    const limitMessage = `You can have at most ${limit} work${limit === 1 ? '' : 's'} in this theme. Withdraw or replace one first.`;
+    if (limit > 0 && await memberSubmissionCount(theme, userId) >= limit) {
+        throw submissionError(400, limitMessage);
+    }
+
+    // Conditional so a status change or double submit in between is caught
+    const at = new Date();
+    const updated = await Theme.findOneAndUpdate(
+        { _id: theme._id, status: 'Active', submissions: { $ne: work._id } },
+        {
+            $push: {
+                submissions: work._id,
+                submissionHistory: { action: 'submitted', workId: work._id, by: userId, at }
+            }
+        },
+        { new: true, projection: { submissionHistory: 0 } }
+    );
+    if (!updated) {
+        throw submissionError(409, 'The theme changed while submitting; please try again');
+    }
+
+    // Submissions racing past the check above can overshoot the limit; the
+    // ones that find themselves over it take their entry back out, and the
+    // history keeps the attempt marked as rolled back
+    if (limit > 0 && await memberSubmissionCount(updated, userId) > limit) {
+        await Theme.updateOne(
+            { _id: theme._id },
+            {
+                $pull: { submissions: work._id },
+                $set: { 'submissionHistory.$[entry].rolledBack': true }
+            },
+            { arrayFilters: [{ 'entry.action': 'submitted', 'entry.workId': work._id, 'entry.at': at }] }
+        );
+        throw submissionError(400, limitMessage);
+    }
+
+    await Work.updateOne({ _id: work._id }, { $set: { themeId: theme._id } });
+    console.log(`🎭 Work ${work._id} submitted to theme ${theme._id}`);
+    return updated;
+}
+
+// Take a work's theme entry off it: its theme votes become ordinary votes
+// (giving voters their budget back), and ballots and judge scores drop it
+async function releaseSubmission(theme, workId) {
+    await Work.updateOne({ _id: workId, themeId: theme._id }, { $unset: { themeId: '' } });
+    await Vote.updateMany({ workId, themeId: theme._id }, { $set: { themeId: null } });
+    await Ballot.updateMany({ themeId: theme._id, rankings: workId }, { $pull: { rankings: workId } });
+    await JudgeScore.deleteMany({ themeId: theme._id, workId });
+}
+
+// Throws unless workId is one of the member's submissions to the theme
+async function checkOwnSubmission(theme, workId, userId) {
+    if (!theme.submissions.some(id => id.toString() === String(workId))) {
+        throw submissionError(404, 'That work is not submitted to this theme');
+    }
+    const work = await Work.findById(workId).select('userId');
+    if (!work || work.userId.toString() !== String(userId)) {
+        throw submissionError(403, 'You can only change your own submissions');
+    }
+    return work;
+}
+
+/**
+ * Withdraw a member's work from a theme while it is Active. Resolves to the
+ * updated theme.
+ */
+async function withdrawSubmission(theme, workId, userId) {
+    checkOpen(theme);
+    const work = await checkOwnSubmission(theme, workId, userId);
+
+    const updated = await Theme.findOneAndUpdate(
+        { _id: theme._id, status: 'Active', submissions: work._id },
+        {
+            $pull: { submissions: work._id },
+            $push: { submissionHistory: { action: 'withdrawn', workId: work._id, by: userId } }
+        },
+        { new: true, projection: { submissionHistory: 0 } }
+    );
+    if (!updated) {
+        throw submissionError(409, 'The theme changed while withdrawing; please try again');
+    }
+
+    await releaseSubmission(theme, work._id);
+    console.log(`🎭 Work ${work._id} withdrawn from theme ${theme._id}`);
+    return updated;
+}
+
+/**
+ * Swap one of a member's submissions for another of their eligible works,
+ * keeping its place. Doesn't count against the submission limit. Resolves
+ * to the updated theme.
+ */
+async function replaceSubmission(theme, workId, replacement, userId) {
+    checkOpen(theme);
+    const work = await checkOwnSubmission(theme, workId, userId);
+    checkEligible(theme, replacement, userId);
+
+    const updated = await Theme.findOneAndUpdate(
+        { _id: theme._id, status: 'Active', submissions: { $eq: work._id, $ne: replacement._id } },
+        {
+            $set: { 'submissions.$[entry]': replacement._id },
+            $push: {
+                submissionHistory: { action: 'replaced', workId: work._id, replacementId: replacement._id, by: userId }
+            }
+        },
+        { new: true, arrayFilters: [{ entry: work._id }], projection: { submissionHistory: 0 } }
+    );
+    if (!updated) {
+        throw submissionError(409, 'The theme changed while replacing; please try again');
+    }
+
+    await releaseSubmission(theme, work._id);
+    await Work.updateOne({ _id: replacement._id }, { $set: { themeId: theme._id } });
+    console.log(`🎭 Work ${work._id} replaced by ${replacement._id} in theme ${theme._id}`);
+    return updated;
+}
+
+// Delete a theme: submissions leave it (losing its awards), its votes stay on
+// the works as ordinary votes, and its ballots, judge scores and
+// notifications go with it
+async function deleteTheme(theme) {
+    await Work.updateMany(
+        { themeId: theme._id },
+        { $unset: { themeId: '' } }
+    );
+    await Work.updateMany(
+        { 'awards.themeId': theme._id },
+        { $pull: { awards: { themeId: theme._id } } }
+    );
+    await Vote.updateMany(
+        { themeId: theme._id },
+        { $set: { themeId: null } }
+    );
+    await Ballot.deleteMany({ themeId: theme._id });
+    await JudgeScore.deleteMany({ themeId: theme._id });
+    await Notification.deleteMany({ themeId: theme._id });
+
+    await Theme.findByIdAndDelete(theme._id);
+}
+
+module.exports = {
+    submitWork,
+    withdrawSubmission,
+    replaceSubmission,
+    deleteTheme
+};
@@ -0,0 +1,212 @@
+/**
+ * Trash Service
+ * Deleting a work or an account moves it to the trash first. Trashed items
+ * drop out of every listing but keep their votes, comments and theme
+ * submissions, so restoring them puts everything back as it was.
+ *
+ * After TRASH_RETENTION_DAYS (default 30) the purge job deletes them for
+ * good: votes on the work (and the owner's portfolio total), ballots, judge
+ * scores and theme submissions go with it. Purging an account also removes
+ * the votes the member cast, with the counters they added to.
+ *
+ * TRASH_PURGE_INTERVAL_HOURS schedules the purge (default 24, 0 disables).
+ */
+
+const { User, Work, Portfolio } = require('../models');
+const { deleteWork } = require('./works');
+const { deleteUser } = require('./users');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most recent purge report, for the admin endpoint
+let lastReport = null;
+
+function retentionDays() {
+    const days = parseFloat(process.env.TRASH_RETENTION_DAYS ?? '30');
+    return days > 0 ? days : 30;
+}
+
+// When an item trashed at deletedAt will be purged
+function purgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + retentionDays() * DAY_MS);
+}
+
+function trashError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Move a work to the trash. deletedBy is the owner or the moderator removing it
+async function trashWork(work, deletedBy) {
+    if (work.deletedAt) {
+        throw trashError(400, 'This work is already in the trash');
+    }
+    work.deletedAt = new Date();
+    work.deletedWithAccount = false;
+    work.deletedBy = deletedBy || null;
+    await work.save();
+    console.log(`🗑️ Work ${work._id} moved to trash`);
+    return purgeDate(work.deletedAt);
+}
+
+// Bring a trashed work back. Works trashed with their account come back with it
+async function restoreWork(work) {
+    if (!work.deletedAt) {
+        throw trashError(400, 'This work is not in the trash');
+    }
+    if (work.deletedWithAccount) {
+        throw trashError(400, 'This work was deleted with its account; restore the account instead');
+    }
+    work.deletedAt = null;
+    work.deletedBy = null;
+    await work.save();
+    console.log(`♻️ Work ${work._id} restored from trash`);
+    return work;
+}
+
+// Move an account, its portfolio and its works to the trash. deletedBy is
+// the member themselves or the admin removing them
+async function trashAccount(user, deletedBy) {
+    if (user.userType === 'admin') {
+        throw trashError(403, 'Admin accounts cannot be deleted');
+    }
+    if (user.deletedAt) {
+        throw trashError(400, 'This account is already scheduled for deletion');
+    }
+
+    const deletedAt = new Date();
+    await User.updateOne({ _id: user._id }, { $set: { deletedAt, deletedBy: deletedBy || null } });
+    await Portfolio.updateOne({ userId: user._id }, { $set: { deletedAt } });
+    await Work.updateMany(
+        { userId: user._id, deletedAt: null },
+        { $set: { deletedAt, deletedWithAccount: true } }
+    );
+
+    console.log(`🗑️ Account ${user._id} moved to trash`);
+    return purgeDate(deletedAt);
+}
+
+// Did the owner trash the work themselves (so they may restore it)?
+function deletedByOwner(work) {
+    return Boolean(work.deletedBy) && work.deletedBy.toString() === work.userId.toString();
+}
+
+// Did the member trash their own account (so logging in may restore it)?
+function deletedBySelf(user) {
+    return Boolean(user.deletedBy) && user.deletedBy.toString() === user._id.toString();
+}
+
+// Bring a trashed account back with its portfolio and works
+async function restoreAccount(user) {
+    if (!user.deletedAt) {
+        throw trashError(400, 'This account is not scheduled for deletion');
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { deletedAt: null, deletedBy: null } });
+    await Portfolio.updateOne({ userId: user._id }, { $set: { deletedAt: null } });
+    await Work.updateMany(
+        { userId: user._id, deletedWithAccount: true },
+        { $set: { deletedAt: null, deletedWithAccount: false, deletedBy: null } }
+    );
+
+    console.log(`♻️ Account ${user._id} restored from trash`);
+}
+
+/**
+ * Trashed works, newest first, each with the date it will be purged.
+ * userId limits it to the works that member trashed themselves (leaving out
+ * those removed by moderators or trashed with the account); omit it to list
+ * everything for admins.
+ */
+async function listTrashedWorks({ userId } = {}) {
+    const query = userId
+        ? { userId, deletedBy: userId, deletedAt: { $ne: null }, deletedWithAccount: false }
+        : { deletedAt: { $ne: null } };
+
+    const works = await Work.find(query)
+        .populate('userId', 'name email')
+        .populate('deletedBy', 'name')
+        .select('title category fileUrl derivatives video voteCount themeId userId deletedAt deletedWithAccount deletedBy')
+        .sort('-deletedAt')
+        .limit(200)
+        .lean();
+
+    return works.map(work => ({ ...work, purgeAt: purgeDate(work.deletedAt) }));
+}
+
+// Trashed accounts, newest first, for admins
+async function listTrashedAccounts() {
+    const users = await User.find({ deletedAt: { $ne: null } })
+        .select('name email userType cluster deletedAt deletedBy')
+        .populate('deletedBy', 'name')
+        .sort('-deletedAt')
+        .lean();
+
+    return users.map(user => ({ ...user, purgeAt: purgeDate(user.deletedAt) }));
+}
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * period. Resolves to a report of what was removed.
+ */
+async function purgeExpiredTrash(now = new Date()) {
+    const startedAt = new Date();
+    const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+
+    // Works trashed with an account are purged with the account
+    const works = await Work.find({ deletedAt: { $lte: cutoff }, deletedWithAccount: false });
+    for (const work of works) {
+        await deleteWork(work);
+    }
+
+    const users = await User.find({ deletedAt: { $lte: cutoff } });
+    for (const user of users) {
+        await deleteUser(user);
+    }
+
+    const report = {
+        startedAt,
+        finishedAt: new Date(),
+        cutoff,
+        worksPurged: works.length,
+        accountsPurged: users.length
+    };
+
+    lastReport = report;
+    if (works.length || users.length) {
+        console.log(`🔥 Trash purge removed ${works.length} work(s) and ${users.length} account(s)`);
+    }
+    return report;
+}
+
+function getLastPurge() {
+    return lastReport;
+}
+
+// Run the purge periodically in-process
+function scheduleTrashPurge() {
+    const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS ?? '24');
+    if (!hours || hours <= 0) return;
+
+    const timer = setInterval(() => {
+        purgeExpiredTrash().catch(err => console.error('Trash purge failed:', err));
+    }, hours * 60 * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    retentionDays,
+    purgeDate,
+    trashWork,
+    restoreWork,
+    deletedByOwner,
+    trashAccount,
+    restoreAccount,
+    deletedBySelf,
+    listTrashedWorks,
+    listTrashedAccounts,
+    purgeExpiredTrash,
+    getLastPurge,
+    scheduleTrashPurge
+};
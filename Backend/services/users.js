@@ -0,0 +1,84 @@
+/**
+ * User Service
+ * Deleting an account and everything that hangs off it. Accounts normally
+ * reach this through the trash purge (services/trash.js).
+ */
+
+const { User, Work, Portfolio, Vote, Ballot, JudgeScore, Comment, Notification } = require('../models');
+const { deleteWork } = require('./works');
+const { softDeleteComment } = require('./comments');
+const { deletePortfolio } = require('./portfolios');
+
+// Take back the votes a member cast, along with the counters they added to
+// (any drift is repaired by the vote reconciliation)
+async function removeVotesBy(userId) {
+    const votes = await Vote.aggregate([
+        { $match: { userId } },
+        { $group: { _id: '$workId', count: { $sum: 1 } } }
+    ]);
+    if (votes.length === 0) return 0;
+
+    const works = await Work.find({ _id: { $in: votes.map(v => v._id) } }).select('userId').lean();
+    const ownerByWork = new Map(works.map(work => [work._id.toString(), work.userId.toString()]));
+    const totalsByOwner = new Map();
+
+    const workUpdates = [];
+    for (const { _id, count } of votes) {
+        const owner = ownerByWork.get(_id.toString());
+        if (!owner) continue;
+        totalsByOwner.set(owner, (totalsByOwner.get(owner) || 0) + count);
+        workUpdates.push({
+            updateOne: {
+                filter: { _id },
+                update: { $inc: { voteCount: -count } }
+            }
+        });
+    }
+
+    if (workUpdates.length > 0) {
+        await Work.bulkWrite(workUpdates);
+    }
+    if (totalsByOwner.size > 0) {
+        await Portfolio.bulkWrite([...totalsByOwner].map(([owner, count]) => ({
+            updateOne: {
+                filter: { userId: owner },
+                update: { $inc: { totalVotes: -count } }
+            }
+        })));
+    }
+
+    const { deletedCount } = await Vote.deleteMany({ userId });
+    return deletedCount;
+}
+
+// Delete an account for good: works, votes cast, ballots, judge scores,
+// comments, notifications and portfolio
+async function deleteUser(user) {
+    // One at a time so each work's cascade finishes before the next
+    const works = await Work.find({ userId: user._id });
+    for (const work of works) {
+        await deleteWork(work);
+    }
+
+    const votes = await removeVotesBy(user._id);
+    await Ballot.deleteMany({ userId: user._id });
+    await JudgeScore.deleteMany({ judgeId: user._id });
+
+    // Keep reply threads intact; the comments read as deleted
+    const comments = await Comment.find({ userId: user._id, deletedAt: { $exists: false } });
+    for (const comment of comments) {
+        await softDeleteComment(comment, user._id, 'author');
+    }
+
+    await Notification.deleteMany({ userId: user._id });
+    const portfolio = await Portfolio.findOne({ userId: user._id });
+    if (portfolio) await deletePortfolio(portfolio);
+    await User.deleteOne({ _id: user._id });
+
+    console.log(`🔥 Account ${user._id} deleted (${works.length} works, ${votes} votes)`);
+}
+
+module.exports = {
+    removeVotesBy,
+    deleteUser
+};
@@ -0,0 +1,282 @@
+/**
+ * Video Service
+ * Background transcoding of uploaded Videos works with a local ffmpeg binary.
+ *
+ * Each job produces a web-playable MP4 (H.264/AAC), an adaptive HLS rendition
+ * set, a poster frame and the duration, and tracks progress on Work.video.status
+ * (pending -> ready | failed). Jobs run one at a time in-process; works still
+ * pending when the server restarts are picked up again by resumePendingVideos().
+ *
+ * FFMPEG_PATH and FFPROBE_PATH override the binaries found on PATH.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Work } = require('../models');
+const { getStorage } = require('./storage');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+
+// HLS ladder; renditions taller than the source are skipped
+const HLS_RENDITIONS = [
+    { name: '360p', height: 360, videoBitrate: '800k', audioBitrate: '96k' },
+    { name: '720p', height: 720, videoBitrate: '2800k', audioBitrate: '128k' },
+    { name: '1080p', height: 1080, videoBitrate: '5000k', audioBitrate: '160k' }
+];
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.jpg': 'image/jpeg',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t'
+};
+
+// Run a binary and resolve with its stdout; rejects with the stderr tail on failure
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-4000); });
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            }
+        });
+    });
+}
+
+async function probe(inputPath) {
+    const output = await run(FFPROBE, [
+        '-v', 'error',
+        '-show_entries', 'format=duration:stream=codec_type,width,height',
+        '-of', 'json',
+        inputPath
+    ]);
+    const info = JSON.parse(output);
+    const videoStream = (info.streams || []).find(s => s.codec_type === 'video');
+    if (!videoStream) {
+        throw new Error('No video stream found');
+    }
+
+    return {
+        duration: parseFloat(info.format?.duration) || 0,
+        width: videoStream.width,
+        height: videoStream.height
+    };
+}
+
+// Keep width even for H.264 while scaling to the target height
+const scaleTo = height => `scale=-2:${height}`;
+
+async function extractPoster(inputPath, outputPath, duration) {
+    const at = Math.min(1, duration / 10);
+    await run(FFMPEG, [
+        '-y', '-ss', at.toFixed(2), '-i', inputPath,
+        '-frames:v', '1',
+        // Never upscale the poster past the source size
+        '-vf', "scale=-2:'min(720,ih)'",
+        '-q:v', '3',
+        outputPath
+    ]);
+}
+
+async function transcodeMp4(inputPath, outputPath, sourceHeight) {
+    await run(FFMPEG, [
+        '-y', '-i', inputPath,
+        '-vf', scaleTo(Math.min(sourceHeight - (sourceHeight % 2), 1080)),
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23',
+        '-pix_fmt', 'yuv420p',
+        '-c:a', 'aac', '-b:a', '128k',
+        '-movflags', '+faststart',
+        outputPath
+    ]);
+}
+
+async function transcodeHlsRendition(inputPath, outputDir, rendition) {
+    await run(FFMPEG, [
+        '-y', '-i', inputPath,
+        '-vf', scaleTo(rendition.height),
+        '-c:v', 'libx264', '-preset', 'veryfast',
+        '-b:v', rendition.videoBitrate, '-maxrate', rendition.videoBitrate, '-bufsize', rendition.videoBitrate,
+        '-pix_fmt', 'yuv420p',
+        // Fixed keyframe spacing so every segment starts on a keyframe
+        '-g', '48', '-keyint_min', '48', '-sc_threshold', '0',
+        '-c:a', 'aac', '-b:a', rendition.audioBitrate,
+        '-hls_time', '6',
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, `${rendition.name}_%03d.ts`),
+        path.join(outputDir, `${rendition.name}.m3u8`)
+    ]);
+}
+
+// Master playlist pointing at each rendition; bandwidth is measured from the output
+async function writeMasterPlaylist(outputDir, renditions, duration) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    for (const rendition of renditions) {
+        const files = await fs.promises.readdir(outputDir);
+        let bytes = 0;
+        for (const file of files.filter(f => f.startsWith(`${rendition.name}_`))) {
+            bytes += (await fs.promises.stat(path.join(outputDir, file))).size;
+        }
+        const bandwidth = Math.round((bytes * 8) / Math.max(duration, 1));
+        lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+        lines.push(`${rendition.name}.m3u8`);
+    }
+
+    await fs.promises.writeFile(path.join(outputDir, 'master.m3u8'), lines.join('\n') + '\n');
+}
+
+// Upload every file in a directory under the given key prefix
+async function uploadDirectory(dir, keyPrefix) {
+    const storage = getStorage();
+    const keys = [];
+    for (const file of await fs.promises.readdir(dir)) {
+        const key = `${keyPrefix}/${file}`;
+        await storage.save(path.join(dir, file), key, CONTENT_TYPES[path.extname(file)]);
+        keys.push(key);
+    }
+    return keys;
+}
+
+// Delete every file a previous transcode produced
+async function removeVideoOutputs(video) {
+    if (!video || !video.keys || video.keys.length === 0) return;
+    const storage = getStorage();
+    await Promise.all(video.keys.map(key => storage.remove(key).catch(err => {
+        console.error('Error removing video output:', key, err);
+    })));
+}
+
+async function transcodeWork(workId) {
+    const work = await Work.findById(workId);
+    if (!work || !work.fileKey || work.video?.status !== 'pending') {
+        return;
+    }
+
+    // The work may get a new file while we run; only write back for this one
+    const sourceKey = work.fileKey;
+    const storage = getStorage();
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'lentexhibit-video-'));
+    const outputDir = path.join(tmpDir, 'out');
+    const hlsDir = path.join(outputDir, 'hls');
+    const keyBase = sourceKey.replace(/\.[^./]+$/, '');
+    let keys = [];
+
+    try {
+        await fs.promises.mkdir(hlsDir, { recursive: true });
+        const inputPath = path.join(tmpDir, `source${path.extname(sourceKey)}`);
+        await storage.download(sourceKey, inputPath);
+
+        const info = await probe(inputPath);
+        console.log(`🎬 Transcoding work ${workId} (${info.width}x${info.height}, ${info.duration.toFixed(1)}s)`);
+
+        const posterPath = path.join(outputDir, 'poster.jpg');
+        const mp4Path = path.join(outputDir, 'web.mp4');
+        await extractPoster(inputPath, posterPath, info.duration);
+        await transcodeMp4(inputPath, mp4Path, info.height);
+
+        // Always produce at least the smallest rendition, even for tiny sources
+        const sourceHeight = info.height - (info.height % 2);
+        const renditions = HLS_RENDITIONS
+            .filter((r, i) => i === 0 || r.height <= sourceHeight)
+            .map(r => {
+                const height = Math.min(r.height, sourceHeight);
+                return { ...r, height, width: Math.round((info.width * height) / info.height / 2) * 2 };
+            });
+        for (const rendition of renditions) {
+            await transcodeHlsRendition(inputPath, hlsDir, rendition);
+        }
+        await writeMasterPlaylist(hlsDir, renditions, info.duration);
+
+        const poster = await storage.save(posterPath, `${keyBase}_poster.jpg`, 'image/jpeg');
+        const mp4 = await storage.save(mp4Path, `${keyBase}_web.mp4`, 'video/mp4');
+        keys = [poster.key, mp4.key];
+        keys.push(...await uploadDirectory(hlsDir, `${keyBase}_hls`));
+
+        const result = await Work.updateOne(
+            { _id: workId, fileKey: sourceKey },
+            {
+                $set: {
+                    'video.status': 'ready',
+                    'video.error': null,
+                    'video.duration': Math.round(info.duration * 10) / 10,
+                    'video.width': info.width,
+                    'video.height': info.height,
+                    'video.posterUrl': poster.url,
+                    'video.mp4Url': mp4.url,
+                    'video.hlsUrl': storage.urlFor(`${keyBase}_hls/master.m3u8`),
+                    'video.keys': keys,
+                    'video.processedAt': new Date()
+                }
+            }
+        );
+
+        if (result.matchedCount === 0) {
+            // File was replaced mid-job; these outputs belong to nobody
+            await removeVideoOutputs({ keys });
+        } else {
+            console.log(`✅ Video ready for work ${workId}`);
+        }
+    } catch (error) {
+        console.error(`❌ Transcoding failed for work ${workId}:`, error.message);
+        await removeVideoOutputs({ keys });
+        await Work.updateOne(
+            { _id: workId, fileKey: sourceKey },
+            { $set: { 'video.status': 'failed', 'video.error': error.message } }
+        );
+    } finally {
+        await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+}
+
+// Serial in-process job queue (transcoding is CPU-bound)
+const queue = [];
+let running = false;
+
+async function drainQueue() {
+    if (running) return;
+    running = true;
+    while (queue.length > 0) {
+        const workId = queue.shift();
+        try {
+            await transcodeWork(workId);
+        } catch (error) {
+            console.error('Video job error:', error);
+        }
+    }
+    running = false;
+}
+
+// Queue a work whose video.status is 'pending'
+function enqueueVideo(workId) {
+    const id = workId.toString();
+    if (!queue.includes(id)) {
+        queue.push(id);
+    }
+    setImmediate(drainQueue);
+}
+
+// Re-queue jobs interrupted by a restart
+async function resumePendingVideos() {
+    const pending = await Work.find({ 'video.status': 'pending' }).select('_id');
+    pending.forEach(work => enqueueVideo(work._id));
+    if (pending.length > 0) {
+        console.log(`🎬 Resuming ${pending.length} pending video job(s)`);
+    }
+}
+
+module.exports = {
+    enqueueVideo,
+    resumePendingVideos,
+    removeVideoOutputs
+};
@@ -0,0 +1,272 @@
+/**
+ * Vote Service
+ * Casts and removes votes together with the Work.voteCount and
+ * Portfolio.totalVotes counters, and reconciles those counters against the
+ * Vote collection.
+ *
+ * Counters are only ever changed with $inc so concurrent votes can't lose
+ * increments. When MongoDB supports transactions (replica set / Atlas) the
+ * vote and both counters commit together; on a standalone server the writes
+ * run without one and the reconciliation job repairs any drift.
+ *
+ * Votes on works submitted to a theme follow that theme's voting rules
+ * (window, vote budget, self-votes, eligible user types); see checkVotingRules.
+ *
+ * VOTE_RECONCILE_INTERVAL_HOURS schedules the reconciliation (default 24, 0 disables).
+ */
+
+const mongoose = require('mongoose');
+const { Vote, Work, Portfolio, User } = require('../models');
+
+// Most recent reconciliation report, for the admin endpoint
+let lastReport = null;
+
+// null until the first transaction attempt tells us whether the server supports them
+let transactionsSupported = null;
+
+// Standalone servers reject transactions with IllegalOperation (20)
+function isTransactionUnsupported(error) {
+    return error && (error.code === 20 || /Transaction numbers are only allowed/i.test(error.message));
+}
+
+// Run fn(session) in a transaction when possible, otherwise fn(null)
+async function withTransaction(fn) {
+    if (transactionsSupported === false) {
+        return fn(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        transactionsSupported = true;
+        return result;
+    } catch (error) {
+        if (transactionsSupported === null && isTransactionUnsupported(error)) {
+            transactionsSupported = false;
+            console.warn('⚠️ MongoDB transactions unavailable; vote counters will rely on reconciliation');
+            return fn(null);
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+}
+
+function ruleError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+/**
+ * Check a user's vote on a work against the rules of the work's theme.
+ * Resolves to { status, message } for the first rule broken, or null.
+ * Without a work (ranked-choice ballots) only eligibility and the voting
+ * window are checked.
+ */
+async function checkVotingRules({ user, work, theme, now = new Date() }) {
+    if (!theme) return null;
+    const rules = theme.voting || {};
+
+    if (work && theme.scoring?.mode === 'ranked') {
+        return { status: 400, message: `"${theme.title}" uses ranked-choice ballots instead of single votes` };
+    }
+
+    const eligible = rules.eligibleUserTypes?.length ? rules.eligibleUserTypes : ['guest', 'member', 'admin'];
+    if (!eligible.includes(user.userType)) {
+        return { status: 403, message: `Voting for "${theme.title}" is limited to ${eligible.join(', ')} accounts` };
+    }
+
+    const { start, end } = theme.votingWindow();
+    if (now < start) {
+        return { status: 400, message: `Voting for "${theme.title}" opens on ${formatDate(start)}` };
+    }
+    if (end && now > end) {
+        return { status: 400, message: `Voting for "${theme.title}" has closed` };
+    }
+
+    if (!work) return null;
+
+    if (!rules.allowSelfVote && work.userId.toString() === user._id.toString()) {
+        return { status: 403, message: 'You cannot vote for your own work in this theme' };
+    }
+
+    if (rules.maxVotesPerUser > 0) {
+        const used = await Vote.countDocuments({ userId: user._id, themeId: theme._id });
+        if (used >= rules.maxVotesPerUser) {
+            return { status: 400, message: `You have used all ${rules.maxVotesPerUser} of your votes for "${theme.title}"` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Record a vote and bump the counters. Resolves to the work's new voteCount.
+ * Throws a duplicate key error (code 11000) if the user already voted, and an
+ * error with status 400 if the vote would go over maxVotes for the theme.
+ */
+async function castVote({ userId, workId, themeId, maxVotes }) {
+    return withTransaction(async (session) => {
+        const [vote] = await Vote.create([{ userId, workId, themeId: themeId || null }], { session });
+
+        // Writing to the voter inside the transaction makes two concurrent
+        // votes by the same user conflict, so the budget count below sees both
+        await User.updateOne({ _id: userId }, { $set: { lastVotedAt: new Date() } }, { session });
+
+        if (themeId && maxVotes > 0) {
+            const used = await Vote.countDocuments({ userId, themeId }).session(session);
+            if (used > maxVotes) {
+                // Without a transaction there is nothing to roll back for us
+                if (!session) await Vote.deleteOne({ _id: vote._id });
+                throw ruleError(400, `You have used all ${maxVotes} of your votes for this theme`);
+            }
+        }
+
+        const work = await Work.findOneAndUpdate(
+            { _id: workId },
+            { $inc: { voteCount: 1 } },
+            { new: true, session }
+        );
+        if (!work) {
+            if (!session) await Vote.deleteOne({ _id: vote._id });
+            throw ruleError(404, 'Work not found');
+        }
+
+        await Portfolio.updateOne(
+            { userId: work.userId },
+            { $inc: { totalVotes: 1 } },
+            { session }
+        );
+
+        return { vote, voteCount: work.voteCount };
+    });
+}
+
+/**
+ * Remove a user's vote and decrement the counters. Resolves to null if there
+ * was no vote, otherwise { voteCount } (undefined if the work is gone).
+ */
+async function removeVote({ userId, workId }) {
+    return withTransaction(async (session) => {
+        const vote = await Vote.findOneAndDelete({ userId, workId }, { session });
+        if (!vote) return null;
+
+        // Never decrement below zero, even if the counter had already drifted
+        const work = await Work.findOneAndUpdate(
+            { _id: workId, voteCount: { $gt: 0 } },
+            { $inc: { voteCount: -1 } },
+            { new: true, session }
+        ) || await Work.findById(workId).session(session);
+
+        if (work) {
+            await Portfolio.updateOne(
+                { userId: work.userId, totalVotes: { $gt: 0 } },
+                { $inc: { totalVotes: -1 } },
+                { session }
+            );
+        }
+
+        return { voteCount: work ? work.voteCount : undefined };
+    });
+}
+
+/**
+ * Recompute every Work.voteCount and Portfolio.totalVotes from the Vote
+ * collection and fix the ones that drifted. Resolves to a report of what
+ * was corrected.
+ */
+async function reconcileVoteCounts() {
+    const startedAt = new Date();
+
+    const voteCounts = await Vote.aggregate([
+        { $group: { _id: '$workId', count: { $sum: 1 } } }
+    ]);
+    const countByWork = new Map(voteCounts.map(row => [row._id.toString(), row.count]));
+
+    // Works: compare stored counters with the real totals
+    const works = await Work.find().select('title userId voteCount').lean();
+    const workFixes = [];
+    const totalsByOwner = new Map();
+
+    for (const work of works) {
+        const actual = countByWork.get(work._id.toString()) || 0;
+        countByWork.delete(work._id.toString());
+
+        const owner = work.userId.toString();
+        totalsByOwner.set(owner, (totalsByOwner.get(owner) || 0) + actual);
+
+        if ((work.voteCount || 0) !== actual) {
+            workFixes.push({ workId: work._id, title: work.title, stored: work.voteCount || 0, actual });
+        }
+    }
+
+    // Whatever is left in countByWork points at works that no longer exist
+    const orphanedVotes = [...countByWork.values()].reduce((sum, count) => sum + count, 0);
+
+    // Portfolios: total votes across all of the owner's works
+    const portfolios = await Portfolio.find().select('userId totalVotes').lean();
+    const portfolioFixes = [];
+    for (const portfolio of portfolios) {
+        const actual = totalsByOwner.get(portfolio.userId.toString()) || 0;
+        if ((portfolio.totalVotes || 0) !== actual) {
+            portfolioFixes.push({ portfolioId: portfolio._id, stored: portfolio.totalVotes || 0, actual });
+        }
+    }
+
+    if (workFixes.length > 0) {
+        await Work.bulkWrite(workFixes.map(fix => ({
+            updateOne: { filter: { _id: fix.workId }, update: { $set: { voteCount: fix.actual } } }
+        })));
+    }
+    if (portfolioFixes.length > 0) {
+        await Portfolio.bulkWrite(portfolioFixes.map(fix => ({
+            updateOne: { filter: { _id: fix.portfolioId }, update: { $set: { totalVotes: fix.actual } } }
+        })));
+    }
+
+    const report = {
+        startedAt,
+        finishedAt: new Date(),
+        worksChecked: works.length,
+        portfoliosChecked: portfolios.length,
+        worksCorrected: workFixes,
+        portfoliosCorrected: portfolioFixes,
+        orphanedVotes
+    };
+
+    lastReport = report;
+    if (workFixes.length || portfolioFixes.length) {
+        console.log(`🧮 Vote reconciliation corrected ${workFixes.length} work(s) and ${portfolioFixes.length} portfolio(s)`);
+    }
+    return report;
+}
+
+function getLastReconciliation() {
+    return lastReport;
+}
+
+// Run reconciliation periodically in-process
+function scheduleVoteReconciliation() {
+    const hours = parseFloat(process.env.VOTE_RECONCILE_INTERVAL_HOURS ?? '24');
+    if (!hours || hours <= 0) return;
+
+    const timer = setInterval(() => {
+        reconcileVoteCounts().catch(err => console.error('Vote reconciliation failed:', err));
+    }, hours * 60 * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    checkVotingRules,
+    castVote,
+    removeVote,
+    reconcileVoteCounts,
+    getLastReconciliation,
+    scheduleVoteReconciliation
+};
@@ -0,0 +1,59 @@
+/**
+ * Work Service
+ * Deleting a work and everything that hangs off it, shared by the trash
+ * purge (services/trash.js), moderators removing reported works and the
+ * integrity repair (services/integrity.js).
+ */
+
+const { Work, Portfolio, Comment, Theme, Vote, Ballot, JudgeScore } = require('../models');
+const { getStorage } = require('./storage');
+const { removeDerivatives } = require('./images');
+const { removeVideoOutputs } = require('./video');
+const { updateTagUsage } = require('./tags');
+
+// Delete a work: votes, theme submissions, portfolio entries and counters,
+// comments, tag counts and stored files
+async function deleteWork(work) {
+    // Votes go with it, and the owner's portfolio total with them
+    const { deletedCount } = await Vote.deleteMany({ workId: work._id });
+    if (deletedCount > 0) {
+        await Portfolio.updateOne(
+            { userId: work.userId },
+            [{ $set: { totalVotes: { $max: [0, { $subtract: ['$totalVotes', deletedCount] }] } } }]
+        );
+    }
+    await Ballot.updateMany({ rankings: work._id }, { $pull: { rankings: work._id } });
+    await JudgeScore.deleteMany({ workId: work._id });
+    await Theme.updateMany({ submissions: work._id }, { $pull: { submissions: work._id } });
+
+    // Remove from portfolio
+    await Portfolio.updateOne(
+        { userId: work.userId },
+        { $pull: { works: work._id, pinnedWorks: work._id } }
+    );
+    // ...and from its collections, where it may also be the cover
+    await Portfolio.updateOne(
+        { userId: work.userId, 'collections.works': work._id },
+        { $pull: { 'collections.$[].works': work._id } }
+    );
+    await Portfolio.updateOne(
+        { userId: work.userId, 'collections.coverWorkId': work._id },
+        { $set: { 'collections.$[cover].coverWorkId': null } },
+        { arrayFilters: [{ 'cover.coverWorkId': work._id }] }
+    );
+
+    await Work.findByIdAndDelete(work._id);
+    await Comment.deleteMany({ workId: work._id });
+    await updateTagUsage(work.tags, []);
+
+    // Remove the stored file and its derivatives if we host them
+    if (work.fileKey) {
+        getStorage().remove(work.fileKey).catch(err => console.error('Error removing work file:', err));
+    }
+    removeDerivatives(work.derivatives);
+    removeVideoOutputs(work.video);
+}
+
+module.exports = {
+    deleteWork
+};
@@ -105,6 +105,12 @@ function updateUIForLoggedInUser() {
     if (userName) {
         userName.textContent = currentUser.name;
     }
+
+    // Admin review screen
+    const adminLink = document.getElementById('adminLink');
+    if (adminLink) {
+        adminLink.classList.toggle('hidden', currentUser.userType !== 'admin');
+    }
     
     console.log('✅ UI updated successfully');
 }
@@ -132,8 +138,23 @@ function showAuthModal() {
 
 function closeAuthModal() {
     document.getElementById('authModal').classList.remove('show');
-    document.getElementById('step1Form').classList.remove('hidden');
+    showAuthView('signup');
+}
+
+/** Switch the auth modal between the 'signup', 'login' and 'forgot' forms. */
+function showAuthView(view) {
+    const titles = { signup: 'Sign Up / Log In', login: 'Log In', forgot: 'Reset Password' };
+
+    document.getElementById('step1Form').classList.toggle('hidden', view !== 'signup');
     document.getElementById('step2Form').classList.add('hidden');
+    document.getElementById('loginForm').classList.toggle('hidden', view !== 'login');
+    document.getElementById('forgotForm').classList.toggle('hidden', view !== 'forgot');
+    document.getElementById('modalTitle').textContent = titles[view];
+
+    // Carry the email over between forms
+    const email = document.getElementById('authEmail').value || document.getElementById('loginEmail').value;
+    if (view === 'login' && email) document.getElementById('loginEmail').value = email;
+    if (view === 'forgot' && email) document.getElementById('forgotEmail').value = email;
 }
 
 function backToStep1() {
@@ -150,6 +171,7 @@ document.getElementById('step1Form').addEventListener('submit', async function(e
     e.preventDefault();
     const name = document.getElementById('authName').value;
     const email = document.getElementById('authEmail').value;
+    const password = document.getElementById('authPassword').value;
     const userType = document.querySelector('input[name="userType"]:checked').value;
 
     if (userType === 'member' && !email.endsWith('@up.edu.ph')) {
@@ -157,17 +179,29 @@ document.getElementById('step1Form').addEventListener('submit', async function(e
         return;
     }
 
-    window.tempUserData = { name, email, userType };
+    window.tempUserData = { name, email, password, userType };
 
     if (userType === 'member') {
         document.getElementById('step1Form').classList.add('hidden');
         document.getElementById('step2Form').classList.remove('hidden');
         document.getElementById('modalTitle').textContent = 'Member Details';
     } else {
-        await registerUser({name, email, userType});
+        await registerUser({name, email, password, userType});
     }
 });
 
+document.getElementById('loginForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+    await loginUser(email, password);
+});
+
+document.getElementById('forgotForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+    await requestPasswordReset(document.getElementById('forgotEmail').value);
+});
+
 document.getElementById('step2Form').addEventListener('submit', async function(e) {
     e.preventDefault();
     
@@ -215,9 +249,10 @@ async function registerUser(userData) {
                 // Update current user immediately
                 currentUser = data.user;
                 updateUIForLoggedInUser();
+                window.refreshNotifications?.();
 
                 // Show welcome message
-                alert(`Welcome, ${data.user.name}! You are now logged in.`);
+                alert(`Welcome, ${data.user.name}!\n\n${data.message}`);
                 
                 // Reload to ensure fresh state
                 setTimeout(() => {
@@ -231,8 +266,8 @@ async function registerUser(userData) {
             console.error('❌ Registration failed:', data.message);
             
             if (data.message && data.message.includes('already')) {
-                if (confirm(data.message + '\n\nWould you like to log in instead?')) {
-                    await loginUser(userData.email);
+                if (confirm(data.message)) {
+                    showAuthView('login');
                 }
             } else {
                 alert(data.message || 'Registration failed');
@@ -244,7 +279,7 @@ async function registerUser(userData) {
     }
 }
 
-async function loginUser(email) {
+async function loginUser(email, password) {
     try {
         console.log('🔑 Logging in user:', email);
         
@@ -253,7 +288,7 @@ async function loginUser(email) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include', // MUST include for cookies
-            body: JSON.stringify({ email })
+            body: JSON.stringify({ email, password })
         });
 
         const data = await response.json();
@@ -269,9 +304,19 @@ async function loginUser(email) {
             // Update current user immediately
             currentUser = data.user;
             updateUIForLoggedInUser();
-
-            // Show welcome message
-            alert(`Welcome back, ${data.user.name}!`);
+            window.refreshNotifications?.();
+
+            // Show welcome message, with the application status for unapproved members
+            let welcome = `Welcome back, ${data.user.name}!`;
+            if (data.user.approvalStatus === 'pending') {
+                welcome += '\n\nYour member account is still awaiting admin approval. You can upload works once it is approved.';
+            } else if (data.user.approvalStatus === 'rejected') {
+                welcome += `\n\nYour member application was not approved: ${data.user.rejectionReason}`;
+            }
+            if (data.restored) {
+                welcome += '\n\nYour account is no longer scheduled for deletion.';
+            }
+            alert(welcome);
             
             // Reload to ensure fresh state
             setTimeout(() => {
@@ -286,6 +331,26 @@ async function loginUser(email) {
     }
 }
 
+async function requestPasswordReset(email) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ email })
+        });
+
+        const data = await response.json();
+        alert(data.message || 'Could not send reset link');
+        if (data.success) {
+            showAuthView('login');
+        }
+    } catch (error) {
+        console.error('❌ Password reset request error:', error);
+        alert('Error requesting password reset. Please try again.');
+    }
+}
+
 async function logout() {
     if (!confirm('Are you sure you want to log out?')) return;
 
@@ -325,15 +390,18 @@ async function loadCurrentTheme() {
         
         if (data.success && data.theme) {
             const theme = data.theme;
-            const endDate = new Date(theme.endDate).toLocaleDateString();
+            // Active themes are taking submissions; Voting themes are being voted on
+            const closesLabel = theme.status === 'Voting' ? 'Voting Ends' : 'Submissions Close';
+            const endDate = new Date(theme.status === 'Voting' ? (theme.voting?.endDate || theme.endDate) : theme.endDate).toLocaleDateString();
             themeCard.innerHTML = `
                 <div class="theme-card-content">
                     <h3 class="titletheme">📌 ${theme.title}</h3>
                     <p class="descriptiontheme"><strong>Description:</strong> ${theme.description}</p>
                     <p class="categorytheme"><strong>Category:</strong> ${theme.category || 'All'}</p>
-                    <p class="datetheme"><strong>Voting Ends:</strong> ${endDate}</p>
+                    <p class="datetheme"><strong>${closesLabel}:</strong> ${endDate}</p>
                     <div style="margin-top: 15px;">
                         <button onclick="showSection('themes')" class="submit-btn">View All Themes</button>
+                        <button onclick="window.location.href='hall-of-fame.html'" class="submit-btn">🏆 Hall of Fame</button>
                     </div>
                 </div>
             `;
@@ -395,13 +463,36 @@ async function loadWorks() {
     }
 }
 
+// Build a responsive <picture> from a work's image derivatives.
+// Works without derivatives (videos, external links) keep the placeholder.
+function workPictureHtml(work, sizes, placeholder) {
+    const derivatives = work.derivatives || [];
+    if (derivatives.length === 0) return placeholder;
+
+    const srcset = format => {
+        const seen = new Set();
+        return derivatives
+            .filter(d => d.format === format && !seen.has(d.width) && seen.add(d.width))
+            .map(d => `${d.url} ${d.width}w`)
+            .join(', ');
+    };
+    const fallback = derivatives.find(d => d.format === 'jpeg' && d.size === 'medium') || derivatives[0];
+
+    return `
+        <picture>
+            <source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">
+            <img src="${fallback.url}" srcset="${srcset('jpeg')}" sizes="${sizes}" alt="${work.title}" loading="lazy" decoding="async">
+        </picture>
+    `;
+}
+
 function createWorkCard(work) {
     const icon = work.category === 'Photos' ? '📷' : work.category === 'Graphics' ? '🎨' : '🎬';
     const voteButton = currentUser ? `<button onclick="toggleVote('${work._id}', event)" class="vote-btn" id="vote-${work._id}">❤️ Vote</button>` : '';
     return `
         <div class="work-card">
             <div class="work-image" onclick="viewWork('${work._id}', event)" style="cursor: pointer;">
-                ${icon}
+                ${workPictureHtml(work, '(max-width: 600px) 100vw, 320px', icon)}
                 ${work.featured ? '<div class="featured-badge">⭐ Featured</div>' : ''}
             </div>
             <div class="work-info">
@@ -430,6 +521,34 @@ function filterByCategory(category) {
     loadWorks();
 }
 
+/** Live stream keeping the rankings list current (see live.js). */
+let rankingsLive = null;
+
+function renderRankings(works) {
+    const list = document.getElementById('rankingList');
+    if (!list) return;
+
+    if (works && works.length > 0) {
+        list.innerHTML = works.slice(0, 10).map((work, index) => {
+            const icon = work.category === 'Photos' ? '📷' : work.category === 'Graphics' ? '🎨' : '🎬';
+            const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
+            return `
+                <div class="ranking-item" data-work-id="${work._id}" onclick="viewWork('${work._id}', event)" style="cursor: pointer;">
+                    <div class="rank-number">${medal || (index + 1)}</div>
+                    <div class="rank-image">${icon}</div>
+                    <div class="rank-info">
+                        <div class="work-title">${work.title}</div>
+                        <div class="work-author">by ${work.userId?.name || 'Unknown'}</div>
+                    </div>
+                    <div class="rank-votes">${work.voteCount} ❤️</div>
+                </div>
+            `;
+        }).join('');
+    } else {
+        list.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🏆</div><p>No rankings yet</p></div>';
+    }
+}
+
 async function loadRankings(category) {
     try {
         const response = await fetch(`${API_BASE_URL}/works/rankings/${category}`, {
@@ -437,28 +556,7 @@ async function loadRankings(category) {
         });
         const data = await response.json();
 
-        const list = document.getElementById('rankingList');
-        if (!list) return;
-        
-        if (data.works && data.works.length > 0) {
-            list.innerHTML = data.works.slice(0, 10).map((work, index) => {
-                const icon = work.category === 'Photos' ? '📷' : work.category === 'Graphics' ? '🎨' : '🎬';
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '';
-                return `
-                    <div class="ranking-item" onclick="viewWork('${work._id}', event)" style="cursor: pointer;">
-                        <div class="rank-number">${medal || (index + 1)}</div>
-                        <div class="rank-image">${icon}</div>
-                        <div class="rank-info">
-                            <div class="work-title">${work.title}</div>
-                            <div class="work-author">by ${work.userId?.name || 'Unknown'}</div>
-                        </div>
-                        <div class="rank-votes">${work.voteCount} ❤️</div>
-                    </div>
-                `;
-            }).join('');
-        } else {
-            list.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🏆</div><p>No rankings yet</p></div>';
-        }
+        renderRankings(data.works);
     } catch (error) {
         console.error('Error loading rankings:', error);
         const list = document.getElementById('rankingList');
@@ -466,6 +564,18 @@ async function loadRankings(category) {
             list.innerHTML = '<div class="empty-state"><div class="empty-state-icon">⚠️</div><p>Error loading rankings</p></div>';
         }
     }
+
+    // Follow votes on the selected category from now on
+    if (rankingsLive) rankingsLive.close();
+    if (window.subscribeLive) {
+        rankingsLive = window.subscribeLive(`categories/${category}`, {
+            leaderboard: (data) => renderRankings(data.works),
+            vote: (data) => {
+                const votes = document.querySelector(`.ranking-item[data-work-id="${data.workId}"] .rank-votes`);
+                if (votes) votes.textContent = `${data.voteCount} ❤️`;
+            }
+        });
+    }
 }
 
 // ============================================
@@ -504,7 +614,7 @@ async function toggleVote(workId, event) {
 function viewWork(workId, event) {
     if (event) event.stopPropagation();
     sessionStorage.setItem('selectedWorkId', workId);
-    alert(`View work details: ${workId}\n\nMore detailed view functionality coming soon.`);
+    window.location.href = `work.html?id=${workId}`;
 }
 
 async function viewMyPortfolio() {
@@ -613,34 +723,20 @@ async function searchWorks(query) {
     }
 }
 
-// Search all content types (works, members, themes)
-async function searchAllContent(query) {
+// Search all content types (works, members, themes), best matches first
+async function searchAllContent(query, limit = 10) {
     try {
         console.log('🔎 Searching all content for:', query);
-        
-        // Search works, members, and themes in parallel
-        const [worksResponse, membersResponse, themesResponse] = await Promise.all([
-            fetch(`${API_BASE_URL}/works?search=${encodeURIComponent(query)}&limit=20`, {
-                credentials: 'include'
-            }),
-            fetch(`${API_BASE_URL}/users?search=${encodeURIComponent(query)}&userType=member&limit=10`, {
-                credentials: 'include'
-            }),
-            fetch(`${API_BASE_URL}/themes?search=${encodeURIComponent(query)}&limit=5`, {
-                credentials: 'include'
-            })
-        ]);
-
-        const [worksData, membersData, themesData] = await Promise.all([
-            worksResponse.json(),
-            membersResponse.json(),
-            themesResponse.json()
-        ]);
+
+        const response = await fetch(`${API_BASE_URL}/search?q=${encodeURIComponent(query)}&limit=${limit}`, {
+            credentials: 'include'
+        });
+        const data = await response.json();
 
         return {
-            works: worksData.works || [],
-            members: membersData.users || [],
-            themes: themesData.themes || []
+            works: data.results?.works || [],
+            members: data.results?.members || [],
+            themes: data.results?.themes || []
         };
     } catch (error) {
         console.error('❌ Error in searchAllContent:', error);
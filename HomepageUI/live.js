@@ -0,0 +1,83 @@
+/**
+ * Live Updates
+ * Subscribes to the server's vote-count and leaderboard streams:
+ *
+ *   const live = subscribeLive('themes/<id>', { leaderboard, vote });
+ *   live.close();
+ *
+ * Paths are 'themes/<id>' or 'categories/<All|Photos|Graphics|Videos>'.
+ * Handlers get the parsed event data. Each (re)connect starts with a fresh
+ * leaderboard, so nothing is lost while the connection is down.
+ */
+(function() {
+    const API_URL = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+        ? 'http://localhost:5000/api'
+        : 'https://lentexhibit.onrender.com/api';
+
+    const MIN_BACKOFF = 2000;
+    const MAX_BACKOFF = 60 * 1000;
+
+    function subscribeLive(path, handlers) {
+        let source = null;
+        let retryTimer = null;
+        let backoff = MIN_BACKOFF;
+        let closed = false;
+
+        function connect() {
+            if (closed || typeof EventSource === 'undefined') return;
+
+            source = new EventSource(`${API_URL}/live/${path}`);
+
+            source.addEventListener('open', () => {
+                backoff = MIN_BACKOFF;
+            });
+
+            ['leaderboard', 'vote'].forEach(type => {
+                source.addEventListener(type, (event) => {
+                    if (!handlers[type]) return;
+                    try {
+                        handlers[type](JSON.parse(event.data));
+                    } catch (error) {
+                        console.error(`Error handling live ${type} update:`, error);
+                    }
+                });
+            });
+
+            // The browser retries dropped connections by itself; when it gives
+            // up (server restarting, error response) we try again with backoff
+            source.addEventListener('error', () => {
+                if (source.readyState !== EventSource.CLOSED) return;
+                source = null;
+                retryTimer = setTimeout(connect, backoff);
+                backoff = Math.min(backoff * 2, MAX_BACKOFF);
+            });
+        }
+
+        // Hidden tabs let go of their connection and catch up when shown again
+        function onVisibilityChange() {
+            if (document.hidden) {
+                clearTimeout(retryTimer);
+                if (source) source.close();
+                source = null;
+            } else if (!source) {
+                backoff = MIN_BACKOFF;
+                connect();
+            }
+        }
+
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        connect();
+
+        return {
+            close() {
+                closed = true;
+                clearTimeout(retryTimer);
+                if (source) source.close();
+                source = null;
+                document.removeEventListener('visibilitychange', onVisibilityChange);
+            }
+        };
+    }
+
+    window.subscribeLive = subscribeLive;
+})();
@@ -0,0 +1,318 @@
+/**
+ * Notification Bell
+ * Shared by every page: adds a bell with the unread count to the top header
+ * for signed-in users, and a dropdown listing recent notifications with
+ * "mark all read" and the email digest setting.
+ *
+ * Include after the page's own script. Pages that sign users in without a
+ * reload (index.html) call refreshNotifications() afterwards.
+ */
+(function() {
+    const API_URL = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+        ? 'http://localhost:5000/api'
+        : 'https://lentexhibit.onrender.com/api';
+
+    const POLL_INTERVAL = 60 * 1000;
+    const TYPE_ICONS = {
+        approval: '✅',
+        vote: '❤️',
+        comment: '💬',
+        reply: '↩️',
+        theme_voting: '🗳️',
+        theme_ended: '🏁',
+        report: '🚩',
+        moderation: '🛡️'
+    };
+
+    const STYLES = `
+        .notif-bell {
+            position: relative;
+        }
+
+        .notif-bell-button {
+            background: rgba(255, 255, 255, 0.2);
+            border: none;
+            border-radius: 50%;
+            width: 38px;
+            height: 38px;
+            font-size: 18px;
+            cursor: pointer;
+            color: white;
+        }
+
+        .notif-count {
+            position: absolute;
+            top: -4px;
+            right: -4px;
+            min-width: 18px;
+            height: 18px;
+            padding: 0 5px;
+            border-radius: 9px;
+            background: #e74c3c;
+            color: white;
+            font-size: 11px;
+            font-weight: 700;
+            line-height: 18px;
+            text-align: center;
+        }
+
+        .notif-panel {
+            display: none;
+            position: absolute;
+            right: 0;
+            top: 48px;
+            width: 340px;
+            max-height: 460px;
+            overflow-y: auto;
+            background: white;
+            color: #333;
+            border-radius: 10px;
+            box-shadow: 0 5px 25px rgba(0,0,0,0.2);
+            z-index: 2000;
+        }
+
+        .notif-panel.show {
+            display: block;
+        }
+
+        .notif-panel-header,
+        .notif-panel-footer {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px 15px;
+            font-size: 13px;
+        }
+
+        .notif-panel-header {
+            border-bottom: 1px solid #f0f0f0;
+            font-weight: 600;
+        }
+
+        .notif-panel-footer {
+            border-top: 1px solid #f0f0f0;
+            color: #666;
+        }
+
+        .notif-panel a {
+            color: #667eea;
+            cursor: pointer;
+            font-weight: 600;
+            text-decoration: none;
+        }
+
+        .notif-item {
+            display: flex;
+            gap: 10px;
+            padding: 12px 15px;
+            border-bottom: 1px solid #f7f7f7;
+            cursor: pointer;
+            font-size: 14px;
+        }
+
+        .notif-item:hover {
+            background: #f8f9ff;
+        }
+
+        .notif-item.unread {
+            background: #f0f3ff;
+        }
+
+        .notif-time {
+            color: #999;
+            font-size: 12px;
+            margin-top: 3px;
+        }
+
+        .notif-empty {
+            padding: 30px 15px;
+            text-align: center;
+            color: #999;
+            font-size: 14px;
+        }
+    `;
+
+    let bell = null;
+    let pollTimer = null;
+    let notifications = [];
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    function timeAgo(date) {
+        const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+        return new Date(date).toLocaleDateString();
+    }
+
+    async function api(path, options = {}) {
+        const response = await fetch(`${API_URL}/notifications${path}`, {
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        if (response.status === 401) return null;
+        return response.json();
+    }
+
+    function createBell() {
+        const style = document.createElement('style');
+        style.textContent = STYLES;
+        document.head.appendChild(style);
+
+        bell = document.createElement('div');
+        bell.className = 'notif-bell';
+        bell.innerHTML = `
+            <button class="notif-bell-button" aria-label="Notifications">🔔</button>
+            <span class="notif-count" style="display: none;"></span>
+            <div class="notif-panel" role="dialog" aria-label="Notifications"></div>
+        `;
+
+        const header = document.querySelector('.top-header');
+        const right = header.querySelector('.navbar-right');
+        const dropdown = header.querySelector('#userDropdown');
+        if (dropdown && dropdown.parentNode) {
+            dropdown.parentNode.insertBefore(bell, dropdown);
+        } else {
+            (right || header).appendChild(bell);
+        }
+
+        bell.querySelector('.notif-bell-button').addEventListener('click', togglePanel);
+        document.addEventListener('click', (event) => {
+            if (!bell.contains(event.target)) {
+                bell.querySelector('.notif-panel').classList.remove('show');
+            }
+        });
+    }
+
+    function setUnreadCount(count) {
+        const badge = bell.querySelector('.notif-count');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'block' : 'none';
+    }
+
+    async function renderPanel() {
+        const panel = bell.querySelector('.notif-panel');
+        panel.innerHTML = '<div class="notif-empty">Loading...</div>';
+
+        const [list, prefs] = await Promise.all([api('?limit=10'), api('/preferences')]);
+        if (!list || !list.success) {
+            panel.innerHTML = '<div class="notif-empty">Could not load notifications</div>';
+            return;
+        }
+
+        notifications = list.notifications;
+        setUnreadCount(list.unreadCount);
+
+        const items = notifications.map(n => `
+            <div class="notif-item ${n.readAt ? '' : 'unread'}" data-id="${n._id}">
+                <span>${TYPE_ICONS[n.type] || '🔔'}</span>
+                <div>
+                    <div>${escapeHtml(n.message)}</div>
+                    <div class="notif-time">${timeAgo(n.updatedAt || n.createdAt)}</div>
+                </div>
+            </div>
+        `).join('');
+
+        const digest = prefs?.emailDigest || 'off';
+        panel.innerHTML = `
+            <div class="notif-panel-header">
+                <span>Notifications</span>
+                ${list.unreadCount > 0 ? '<a data-action="read-all">Mark all read</a>' : ''}
+            </div>
+            ${items || '<div class="notif-empty">You\'re all caught up</div>'}
+            <div class="notif-panel-footer">
+                <label for="notifDigest">Email digest</label>
+                <select id="notifDigest">
+                    ${(prefs?.options || ['off', 'daily', 'weekly']).map(option => `
+                        <option value="${option}" ${option === digest ? 'selected' : ''}>${option === 'off' ? 'Off' : option[0].toUpperCase() + option.slice(1)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+
+        panel.querySelectorAll('.notif-item').forEach(item => {
+            item.addEventListener('click', () => openNotification(item.dataset.id));
+        });
+        panel.querySelector('[data-action="read-all"]')?.addEventListener('click', markAllRead);
+        panel.querySelector('#notifDigest').addEventListener('change', (event) => setDigest(event.target.value));
+    }
+
+    function togglePanel() {
+        const panel = bell.querySelector('.notif-panel');
+        panel.classList.toggle('show');
+        if (panel.classList.contains('show')) {
+            renderPanel().catch(error => console.error('Error loading notifications:', error));
+        }
+    }
+
+    async function openNotification(id) {
+        const notification = notifications.find(n => n._id === id);
+        try {
+            if (notification && !notification.readAt) {
+                await api(`/${id}/read`, { method: 'PUT' });
+            }
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+        }
+        if (notification?.link) {
+            window.location.href = notification.link;
+        } else {
+            renderPanel();
+        }
+    }
+
+    async function markAllRead() {
+        try {
+            await api('/read-all', { method: 'PUT' });
+            renderPanel();
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+        }
+    }
+
+    async function setDigest(emailDigest) {
+        try {
+            const data = await api('/preferences', { method: 'PUT', body: JSON.stringify({ emailDigest }) });
+            if (data && !data.success) alert(data.message);
+        } catch (error) {
+            console.error('Error updating digest preference:', error);
+        }
+    }
+
+    async function refreshNotifications() {
+        if (!document.querySelector('.top-header')) return;
+
+        try {
+            const data = await api('/unread-count');
+            if (!data || !data.success) {
+                // Signed out: no bell
+                if (bell) bell.style.display = 'none';
+                return;
+            }
+
+            if (!bell) createBell();
+            bell.style.display = '';
+            setUnreadCount(data.unreadCount);
+
+            if (!pollTimer) {
+                pollTimer = setInterval(refreshNotifications, POLL_INTERVAL);
+            }
+        } catch (error) {
+            console.error('Error checking notifications:', error);
+        }
+    }
+
+    window.refreshNotifications = refreshNotifications;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', refreshNotifications);
+    } else {
+        refreshNotifications();
+    }
+})();
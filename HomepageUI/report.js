@@ -0,0 +1,178 @@
+/**
+ * Report Dialog
+ * Lets signed-in users flag a work, comment or portfolio for moderators:
+ *
+ *   openReportDialog('work', work._id, work.title);
+ *
+ * Reports go to POST /api/reports and show up in the admin moderation queue.
+ */
+(function() {
+    const API_URL = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+        ? 'http://localhost:5000/api'
+        : 'https://lentexhibit.onrender.com/api';
+
+    const REASON_LABELS = {
+        inappropriate: 'Inappropriate or offensive',
+        plagiarism: 'Plagiarized or not the member\'s own work',
+        spam: 'Spam or advertising',
+        harassment: 'Harassment or bullying',
+        other: 'Something else'
+    };
+
+    const STYLES = `
+        .report-overlay {
+            position: fixed;
+            inset: 0;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 3000;
+        }
+
+        .report-dialog {
+            background: white;
+            color: #333;
+            border-radius: 15px;
+            padding: 25px;
+            width: 90%;
+            max-width: 440px;
+            box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+        }
+
+        .report-dialog h3 {
+            margin-bottom: 6px;
+        }
+
+        .report-dialog .report-target {
+            color: #888;
+            font-size: 13px;
+            margin-bottom: 15px;
+        }
+
+        .report-dialog label {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            padding: 6px 0;
+            cursor: pointer;
+        }
+
+        .report-dialog textarea {
+            width: 100%;
+            min-height: 80px;
+            margin-top: 10px;
+            padding: 10px;
+            border: 2px solid #e0e0e0;
+            border-radius: 8px;
+            font-family: inherit;
+            resize: vertical;
+        }
+
+        .report-dialog-buttons {
+            display: flex;
+            justify-content: flex-end;
+            gap: 10px;
+            margin-top: 15px;
+        }
+
+        .report-dialog-buttons button {
+            padding: 10px 20px;
+            border: none;
+            border-radius: 20px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .report-dialog-buttons .report-submit {
+            background: #dc3545;
+            color: white;
+        }
+
+        .report-dialog-buttons .report-cancel {
+            background: #eee;
+            color: #555;
+        }
+    `;
+
+    let stylesAdded = false;
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function openReportDialog(targetType, targetId, label) {
+        if (!stylesAdded) {
+            const style = document.createElement('style');
+            style.textContent = STYLES;
+            document.head.appendChild(style);
+            stylesAdded = true;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'report-overlay';
+        overlay.innerHTML = `
+            <form class="report-dialog">
+                <h3>🚩 Report this ${targetType}</h3>
+                ${label ? `<div class="report-target">${escapeHtml(label)}</div>` : ''}
+                ${Object.entries(REASON_LABELS).map(([reason, text], index) => `
+                    <label><input type="radio" name="reason" value="${reason}" ${index === 0 ? 'checked' : ''}> ${text}</label>
+                `).join('')}
+                <textarea name="details" maxlength="1000" placeholder="Anything moderators should know? (links to the original work, etc.)"></textarea>
+                <div class="report-dialog-buttons">
+                    <button type="button" class="report-cancel">Cancel</button>
+                    <button type="submit" class="report-submit">Send Report</button>
+                </div>
+            </form>
+        `;
+
+        const close = () => overlay.remove();
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) close();
+        });
+        overlay.querySelector('.report-cancel').addEventListener('click', close);
+
+        overlay.querySelector('form').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const form = event.target;
+            const submit = form.querySelector('.report-submit');
+            submit.disabled = true;
+
+            try {
+                const response = await fetch(`${API_URL}/reports`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    credentials: 'include',
+                    body: JSON.stringify({
+                        targetType,
+                        targetId,
+                        reason: form.reason.value,
+                        details: form.details.value.trim()
+                    })
+                });
+
+                if (response.status === 401) {
+                    alert('Please log in to report content');
+                    close();
+                    return;
+                }
+
+                const data = await response.json();
+                alert(data.message || (data.success ? 'Report sent' : 'Failed to send report'));
+                if (data.success || response.status === 409) close();
+            } catch (error) {
+                console.error('Error sending report:', error);
+                alert('Error sending report');
+            } finally {
+                submit.disabled = false;
+            }
+        });
+
+        document.body.appendChild(overlay);
+        overlay.querySelector('input[name="reason"]').focus();
+    }
+
+    window.openReportDialog = openReportDialog;
+})();
@@ -0,0 +1,69 @@
+/**
+ * Tag Input
+ * Autocomplete for comma-separated tag fields:
+ *
+ *   attachTagAutocomplete(document.getElementById('workTags'));
+ *
+ * Suggestions for the tag being typed (after the last comma) come from
+ * GET /api/tags, curated tags first.
+ */
+(function() {
+    const API_URL = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+        ? 'http://localhost:5000/api'
+        : 'https://lentexhibit.onrender.com/api';
+
+    const DEBOUNCE_MS = 200;
+    let listCount = 0;
+
+    function attachTagAutocomplete(input) {
+        const datalist = document.createElement('datalist');
+        datalist.id = `tagSuggestions${++listCount}`;
+        input.after(datalist);
+        input.setAttribute('list', datalist.id);
+        input.setAttribute('autocomplete', 'off');
+
+        let timer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+                const parts = input.value.split(',');
+                const current = parts.pop().trim();
+                const done = parts.map(part => part.trim()).filter(Boolean);
+
+                if (!current) {
+                    datalist.innerHTML = '';
+                    return;
+                }
+
+                try {
+                    const response = await fetch(`${API_URL}/tags?q=${encodeURIComponent(current)}&limit=8`, {
+                        credentials: 'include'
+                    });
+                    const data = await response.json();
+
+                    // Each option is the whole field value with the last tag completed
+                    const prefix = done.length ? `${done.join(', ')}, ` : '';
+                    datalist.innerHTML = '';
+                    (data.tags || []).forEach(tag => {
+                        const option = document.createElement('option');
+                        option.value = `${prefix}${tag.name}`;
+                        option.label = tag.curated ? `${tag.name} ★` : `${tag.name} (${tag.usageCount})`;
+                        datalist.appendChild(option);
+                    });
+                } catch (error) {
+                    console.error('Error loading tag suggestions:', error);
+                }
+            }, DEBOUNCE_MS);
+        });
+    }
+
+    // Tag chips linking to each tag's page
+    function tagChipsHtml(tags) {
+        return (tags || []).map(slug =>
+            `<a class="tag-chip" href="tag.html?slug=${encodeURIComponent(slug)}">#${slug}</a>`
+        ).join('');
+    }
+
+    window.attachTagAutocomplete = attachTagAutocomplete;
+    window.tagChipsHtml = tagChipsHtml;
+})();